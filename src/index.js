@@ -3,8 +3,12 @@ import chalk from 'chalk';
 import dotenv from 'dotenv';
 import { RepoStatsCounter } from './lib/RepoStatsCounter.js';
 import { ConfigManager } from './lib/ConfigManager.js';
-import { DatabaseManager } from './lib/DatabaseManager.js';
+import { createStorage } from './lib/storage/index.js';
 import { LeadTimeCalculator } from './lib/LeadTimeCalculator.js';
+import { StatsServer, DEFAULT_PORT, DEFAULT_HOST } from './lib/StatsServer.js';
+import { PrometheusExporter } from './lib/PrometheusExporter.js';
+import { Watcher } from './lib/Watcher.js';
+import { TREND_PERIODS } from './lib/TrendCalculator.js';
 
 // Load environment variables
 dotenv.config();
@@ -15,29 +19,52 @@ program
   .version('1.0.0');
 
 program
-  .option('-a, --action <action>', 'Action to perform: count, stats, config, leadtime, pull-requests', 'count')
-  .option('-d, --days <days>', 'Number of days to look back', '30')
+  .option('-a, --action <action>', 'Action to perform: count, stats, config, leadtime, pull-requests, change-failure-rate, time-to-restore, dora, db-migrate, serve, report, metrics, watch, trend, teams, authors', 'count')
+  .option('-d, --days <days>', 'Number of days to look back (default: DEFAULT_DAYS or settings.defaultDays, else 30)')
   .option('-r, --repo <repo>', 'Specific repository to analyze')
+  .option('-t, --team <team>', 'Only the repositories of a team defined in config.json')
   .option('-f, --format <format>', 'Output format: table, json, csv', 'table')
   .option('--setup', 'Initial setup and configuration')
   .option('--calculate-lead-time', 'Calculate lead time metrics')
-  .option('--insights', 'Show lead time insights and recommendations');
+  .option('--insights', 'Show lead time insights and recommendations')
+  .option('--full-resync', 'Ignore incremental sync cursors and re-fetch the whole window')
+  .option('--dry-run', 'With --action=db-migrate, list pending migrations without applying them')
+  .option('--port <port>', 'With --action=serve, port to listen on', process.env.PORT || String(DEFAULT_PORT))
+  .option('--host <host>', 'With --action=serve, interface to bind', DEFAULT_HOST)
+  .option('--period <period>', 'With --action=trend, bucket size: week or month', 'week')
+  .option('--periods <count>', 'With --action=trend, number of most recent buckets to show', '12')
+  .option('--anonymize', 'With --action=authors, show hashed ids instead of author names (requires AUTHOR_HASH_SALT)')
+  .option('-o, --output <file>', 'With --action=report, HTML file to write (default: reports/dora-report-<date>.html); with --action=metrics, textfile collector file (default: stdout)');
 
 program.parse();
 
 const options = program.opts();
 
+// Set while a long-running action wants to handle SIGINT/SIGTERM itself
+let shutdownHandler = null;
+
 async function main() {
   try {
-    console.log(chalk.blue('🚀 Repository Stats Counter\n'));
+    // Metrics on stdout are piped straight into a .prom file; keep them free of the banner
+    if (!(options.action === 'metrics' && !options.output)) {
+      console.log(chalk.blue('🚀 Repository Stats Counter\n'));
+    }
 
     const configManager = new ConfigManager();
-    const dbManager = new DatabaseManager();
+    // DATABASE_URL picks the backend: SQLite (default), PostgreSQL or in-memory
+    const dbManager = createStorage(process.env.DATABASE_URL);
     const statsCounter = new RepoStatsCounter(configManager, dbManager);
     const leadTimeCalculator = new LeadTimeCalculator(dbManager);
 
-    // Initialize database
-    await dbManager.initialize();
+    // Initialize database; db-migrate applies (or previews) migrations itself
+    await dbManager.initialize({ migrate: options.action !== 'db-migrate' });
+
+    const syncOptions = { fullResync: Boolean(options.fullResync) };
+    const settings = await configManager.getSettings();
+    const days = parseInt(options.days) || parseInt(process.env.DEFAULT_DAYS) || settings.defaultDays || 30;
+    if (options.team) {
+      await configManager.setTeam(options.team);
+    }
 
     switch (options.action) {
       case 'config':
@@ -45,30 +72,118 @@ async function main() {
         break;
 
       case 'stats':
-        await statsCounter.displayStats(options.format, options.repo);
+        await statsCounter.displayStats(options.format, options.repo, days);
         break;
 
       case 'leadtime':
         if (options.calculateLeadTime || !options.repo) {
-          console.log(chalk.yellow(`Collecting PR data and calculating lead time for the last ${options.days} days...\n`));
-          await statsCounter.collectPullRequestData(parseInt(options.days), options.repo);
-          await statsCounter.calculateAndDisplayLeadTime(parseInt(options.days), options.repo, options.format, options.insights);
+          console.log(chalk.yellow(`Collecting PR data and calculating lead time for the last ${days} days...\n`));
+          await statsCounter.collectPullRequestData(days, options.repo, syncOptions);
+          await statsCounter.calculateAndDisplayLeadTime(days, options.repo, options.format, options.insights);
         } else {
-          await statsCounter.displayLeadTimeStats(parseInt(options.days), options.repo, options.format, options.insights);
+          await statsCounter.displayLeadTimeStats(days, options.repo, options.format, options.insights);
         }
         break;
 
       case 'pull-requests':
-        console.log(chalk.yellow(`Collecting pull request data for the last ${options.days} days...\n`));
-        await statsCounter.collectPullRequestData(parseInt(options.days), options.repo);
+        console.log(chalk.yellow(`Collecting pull request data for the last ${days} days...\n`));
+        await statsCounter.collectPullRequestData(days, options.repo, syncOptions);
         console.log(chalk.green('✅ Pull request data collected successfully!'));
         break;
 
+      case 'change-failure-rate':
+        await statsCounter.displayChangeFailureRate(days, options.repo, options.format);
+        break;
+
+      case 'time-to-restore':
+        console.log(chalk.yellow(`Collecting incidents and calculating time to restore for the last ${days} days...\n`));
+        await statsCounter.collectIncidentData(days, options.repo, syncOptions);
+        await statsCounter.displayTimeToRestore(days, options.repo, options.format);
+        break;
+
+      case 'db-migrate':
+        await dbManager.migrate({ dryRun: options.dryRun, verbose: true });
+        break;
+
+      case 'serve':
+        // Query parameters override --repo/--days per request; the server keeps the process alive
+        await new StatsServer(configManager, dbManager, { defaultDays: days })
+          .listen(parseInt(options.port), options.host);
+        break;
+
+      case 'report': {
+        const outputPath = options.output || `reports/dora-report-${new Date().toISOString().slice(0, 10)}.html`;
+        console.log(chalk.yellow(`Refreshing stale data for the last ${days} days...\n`));
+        await statsCounter.collectStaleData(days, options.repo, syncOptions);
+        await statsCounter.writeHtmlReport(days, options.repo, outputPath);
+        break;
+      }
+
+      case 'metrics': {
+        const repositories = (await configManager.getRepositories())
+          .filter(repo => !options.repo || repo.id.includes(options.repo) || repo.name.includes(options.repo));
+        const exporter = new PrometheusExporter(dbManager);
+
+        if (options.output) {
+          await exporter.writeTextfile(repositories, days, options.output);
+          console.log(chalk.green(`📈 Metrics written to ${options.output}`));
+        } else {
+          process.stdout.write(await exporter.render(repositories, days));
+        }
+        break;
+      }
+
+      case 'watch': {
+        const watcher = new Watcher(statsCounter, configManager, { days, specificRepo: options.repo });
+        shutdownHandler = () => watcher.stop();
+        await watcher.run();
+        await dbManager.close();
+        break;
+      }
+
+      case 'trend':
+        // Checked before collecting so a typo does not cost a sync
+        if (!TREND_PERIODS.includes(options.period)) {
+          throw new Error(`Unsupported trend period "${options.period}" (use ${TREND_PERIODS.join(' or ')})`);
+        }
+        console.log(chalk.yellow(`Refreshing stale data for the last ${days} days...\n`));
+        await statsCounter.collectStaleData(days, options.repo, syncOptions);
+        await statsCounter.displayTrend(days, options.repo, options.format, {
+          period: options.period,
+          periods: parseInt(options.periods) || 12
+        });
+        break;
+
+      case 'teams':
+        console.log(chalk.yellow(`Refreshing stale data for the last ${days} days...\n`));
+        await statsCounter.collectStaleData(days, options.repo, syncOptions);
+        await statsCounter.displayTeams(days, options.team, options.format);
+        break;
+
+      case 'authors':
+        // Checked before collecting: without a salt anyone can hash a list of logins and match the ids
+        if (options.anonymize && !process.env.AUTHOR_HASH_SALT) {
+          throw new Error('--anonymize needs AUTHOR_HASH_SALT; unsalted ids can be matched against known logins');
+        }
+        console.log(chalk.yellow(`Refreshing stale data for the last ${days} days...\n`));
+        await statsCounter.collectStaleData(days, options.repo, syncOptions);
+        await statsCounter.displayAuthorStats(days, options.repo, options.format, {
+          anonymize: Boolean(options.anonymize),
+          salt: process.env.AUTHOR_HASH_SALT
+        });
+        break;
+
+      case 'dora':
+        console.log(chalk.yellow(`Refreshing stale data for the last ${days} days...\n`));
+        await statsCounter.collectStaleData(days, options.repo, syncOptions);
+        await statsCounter.displayDoraScorecard(days, options.repo, options.format);
+        break;
+
       case 'count':
       default:
-        console.log(chalk.yellow(`Counting deployments for the last ${options.days} days...\n`));
-        await statsCounter.countDeployments(parseInt(options.days), options.repo);
-        await statsCounter.displayStats(options.format, options.repo);
+        console.log(chalk.yellow(`Counting deployments for the last ${days} days...\n`));
+        await statsCounter.countDeployments(days, options.repo, syncOptions);
+        await statsCounter.displayStats(options.format, options.repo, days);
         break;
     }
 
@@ -81,10 +196,20 @@ async function main() {
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
+// Handle graceful shutdown; a second signal exits immediately
+function handleShutdown() {
+  if (shutdownHandler) {
+    const handler = shutdownHandler;
+    shutdownHandler = null;
+    handler();
+    return;
+  }
+
   console.log(chalk.yellow('\n👋 Goodbye!'));
   process.exit(0);
-});
+}
+
+process.on('SIGINT', handleShutdown);
+process.on('SIGTERM', handleShutdown);
 
 main();
@@ -0,0 +1,250 @@
+import axios from 'axios';
+import chalk from 'chalk';
+import { LeadTimeCalculator, DEFAULT_ENVIRONMENTS, environmentNames } from './LeadTimeCalculator.js';
+import { DoraScorecard, TIER_SCORES } from './DoraScorecard.js';
+import { FAILED_DEPLOYMENT_STATUSES } from './storage/Storage.js';
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const RULE_DEFAULTS = {
+  lead_time_regression: { percentile: 'p90', increasePercent: 50, periodDays: 7, minPullRequests: 3 },
+  deployment_gap: { days: 7 },
+  tier_drop: { metric: 'overall' }
+};
+
+const SCORECARD_METRICS = ['overall', 'deployment_frequency', 'lead_time', 'change_failure_rate', 'time_to_restore'];
+
+export class AlertManager {
+  /**
+   * Evaluates the rules in settings.alerts against a repository's stored data and posts the
+   * ones that start firing to Slack incoming webhooks or any JSON webhook. Rule state is kept
+   * in alert_state: an alert is delivered once when its condition becomes true and again only
+   * after it has cleared. Tier drops compare against the last tier seen.
+   *
+   * @param {ConfigManager} configManager
+   * @param {Storage} dbManager
+   * @param {object} [options]
+   * @param {object} [options.client] - Object with a post(url, body, config) method; defaults to axios
+   */
+  constructor(configManager, dbManager, options = {}) {
+    this.configManager = configManager;
+    this.dbManager = dbManager;
+    this.client = options.client || axios;
+    this.leadTimeCalculator = new LeadTimeCalculator(dbManager);
+    this.doraScorecard = new DoraScorecard(dbManager);
+
+    this.evaluators = {
+      lead_time_regression: (rule, repo) => this.evaluateLeadTimeRegression(rule, repo),
+      deployment_gap: (rule, repo) => this.evaluateDeploymentGap(rule, repo),
+      tier_drop: (rule, repo, context) => this.evaluateTierDrop(rule, repo, context)
+    };
+  }
+
+  /**
+   * Configured rules with defaults applied. A rule's id defaults to its type (plus the metric
+   * for tier drops) and names its dedup state, so changing it re-arms the alert.
+   */
+  async getRules() {
+    const settings = await this.configManager.getSettings();
+    const rules = settings.alerts?.rules || [];
+
+    return rules.map(rule => {
+      if (!this.evaluators[rule.type]) {
+        throw new Error(`Unknown alert rule type "${rule.type}" (use ${Object.keys(this.evaluators).join(', ')})`);
+      }
+      const merged = { ...RULE_DEFAULTS[rule.type], ...rule };
+      if (rule.type === 'tier_drop' && !SCORECARD_METRICS.includes(merged.metric)) {
+        throw new Error(`Unknown tier_drop metric "${merged.metric}" (use ${SCORECARD_METRICS.join(', ')})`);
+      }
+      return {
+        ...merged,
+        id: rule.id || (rule.type === 'tier_drop' ? `tier_drop:${merged.metric}` : rule.type)
+      };
+    });
+  }
+
+  /**
+   * Check every rule for one repository and deliver new alerts. Never throws: a broken rule
+   * or webhook must not fail the collection run that triggered the check.
+   *
+   * @returns {Promise<object[]>} Alerts delivered in this check
+   */
+  async checkRepository(repo, days = 30) {
+    try {
+      const rules = await this.getRules();
+      if (rules.length === 0) return [];
+
+      const settings = await this.configManager.getSettings();
+      const context = { days, settings, scorecard: null };
+      const fired = [];
+
+      for (const rule of rules) {
+        const result = await this.evaluators[rule.type](rule, repo, context);
+        // null: not enough data to judge, leave the state as it is
+        if (!result) continue;
+
+        const alert = await this.applyResult(rule, repo, result);
+        if (alert) fired.push(alert);
+      }
+
+      return fired;
+    } catch (error) {
+      console.log(chalk.yellow(`   Warning: Alert check failed for ${repo.name}: ${error.message}`));
+      return [];
+    }
+  }
+
+  /**
+   * Compare the evaluation with the stored state, deliver on a new firing and persist
+   */
+  async applyResult(rule, repo, result) {
+    const state = await this.dbManager.getAlertState(repo.id, rule.id);
+    const wasActive = Boolean(state?.active);
+    const baseline = state?.value ? JSON.parse(state.value) : null;
+    const firing = rule.type === 'tier_drop'
+      ? this.isTierDrop(baseline?.tier, result.value.tier)
+      : result.active;
+
+    const nextState = {
+      repository_id: repo.id,
+      rule_id: rule.id,
+      active: rule.type === 'tier_drop' ? false : result.active,
+      value: JSON.stringify(result.value),
+      fired_at: state?.fired_at || null
+    };
+
+    let alert = null;
+    if (firing && (rule.type === 'tier_drop' || !wasActive)) {
+      alert = {
+        repository: repo.id,
+        rule: rule.id,
+        type: rule.type,
+        message: rule.type === 'tier_drop'
+          ? `${this.formatMetric(rule.metric)} tier dropped from ${baseline.tier} to ${result.value.tier}`
+          : result.message,
+        details: result.value,
+        fired_at: new Date().toISOString()
+      };
+
+      // Keep the old state when nothing could be delivered so the next run retries
+      if (!await this.deliver(alert, repo)) return null;
+      nextState.fired_at = alert.fired_at;
+    }
+
+    await this.dbManager.saveAlertState(nextState);
+    return alert;
+  }
+
+  /**
+   * Lead time percentile of PRs merged in the latest period against the period before
+   */
+  async evaluateLeadTimeRegression(rule, repo) {
+    const [previous, current] = await this.leadTimeCalculator.getLeadTimePercentileTrend(
+      repo.id,
+      rule.periodDays * 2,
+      rule.periodDays
+    );
+    if (!previous || !current) return null;
+    if (previous.pr_count < rule.minPullRequests || current.pr_count < rule.minPullRequests) return null;
+
+    const before = previous[rule.percentile];
+    const after = current[rule.percentile];
+    if (before === null || before === undefined || after === null || after === undefined) return null;
+
+    const increasePercent = before > 0 ? Math.round(((after - before) / before) * 1000) / 10 : 0;
+    const period = rule.periodDays === 7 ? 'week over week' : `over the previous ${rule.periodDays} days`;
+
+    return {
+      active: increasePercent >= rule.increasePercent,
+      message: `${rule.percentile.toUpperCase()} lead time up ${increasePercent}% ${period} ` +
+        `(${this.formatHours(before)} → ${this.formatHours(after)})`,
+      value: { percentile: rule.percentile, previous_hours: before, current_hours: after, increase_percent: increasePercent }
+    };
+  }
+
+  /**
+   * No successful deployment to the environment (default: the repository's last) in `days`
+   */
+  async evaluateDeploymentGap(rule, repo) {
+    // Without a sync there is no way to tell "no deploys" from "not collected yet"
+    if (!await this.dbManager.getSyncState(repo.id, 'deployments')) return null;
+
+    const environments = repo.environments?.length ? repo.environments : DEFAULT_ENVIRONMENTS;
+    const environment = (rule.environment || environments[environments.length - 1]).toLowerCase();
+    const names = environmentNames(environment);
+    const deployments = (await this.dbManager.getDeployments(repo.id, rule.days))
+      .filter(deployment => names.includes((deployment.environment || 'production').toLowerCase()))
+      .filter(deployment => !FAILED_DEPLOYMENT_STATUSES.includes(deployment.status));
+
+    return {
+      active: deployments.length === 0,
+      message: `No ${environment} deployment in ${rule.days} days`,
+      value: { environment, days: rule.days, deployments: deployments.length }
+    };
+  }
+
+  async evaluateTierDrop(rule, repo, context) {
+    // One scorecard per check, shared by every tier_drop rule
+    if (!context.scorecard) {
+      context.scorecard = await this.doraScorecard.buildRepositoryScorecard(repo, context.days, context.settings);
+    }
+
+    const tier = rule.metric === 'overall' ? context.scorecard.overall : context.scorecard[rule.metric].tier;
+    if (!TIER_SCORES[tier]) return null;
+
+    return { value: { metric: rule.metric, tier, days: context.days } };
+  }
+
+  isTierDrop(previousTier, tier) {
+    if (!TIER_SCORES[previousTier]) return false;
+    return TIER_SCORES[tier] < TIER_SCORES[previousTier];
+  }
+
+  /**
+   * Post to every configured webhook; true when at least one accepted the alert (or none are
+   * configured, in which case the console line is the delivery)
+   */
+  async deliver(alert, repo) {
+    const settings = await this.configManager.getSettings();
+    const webhooks = settings.alerts?.webhooks || [];
+
+    console.log(chalk.red(`🚨 ${repo.owner}/${repo.name}: ${alert.message}`));
+    if (webhooks.length === 0) return true;
+
+    let delivered = false;
+    for (const webhook of webhooks) {
+      const url = webhook.urlEnv ? process.env[webhook.urlEnv] : webhook.url;
+      if (!url) {
+        console.log(chalk.yellow(`   Warning: Alert webhook has no URL${webhook.urlEnv ? ` (${webhook.urlEnv} is not set)` : ''}`));
+        continue;
+      }
+
+      try {
+        await this.client.post(url, this.buildPayload(webhook, alert, repo), { timeout: WEBHOOK_TIMEOUT_MS });
+        delivered = true;
+      } catch (error) {
+        console.log(chalk.yellow(`   Warning: Failed to deliver alert to ${new URL(url).host}: ${error.message}`));
+      }
+    }
+
+    return delivered;
+  }
+
+  buildPayload(webhook, alert, repo) {
+    if (webhook.type === 'slack') {
+      const link = repo.url?.startsWith('http') ? `<${repo.url}|${repo.owner}/${repo.name}>` : `${repo.owner}/${repo.name}`;
+      return { text: `🚨 ${link}: ${alert.message}` };
+    }
+
+    return alert;
+  }
+
+  formatMetric(metric) {
+    const label = metric.replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  }
+
+  formatHours(hours) {
+    return hours >= 48 ? `${Math.round(hours / 24 * 10) / 10}d` : `${Math.round(hours * 10) / 10}h`;
+  }
+}
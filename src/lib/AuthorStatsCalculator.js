@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export class AuthorStatsCalculator {
+  /**
+   * Flow metrics per PR author over merged PRs: lead time, wait for the first review, size
+   * and merge-to-deploy latency, as medians so one outlier PR does not define a person.
+   * Authors are pooled across the given repositories.
+   */
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  /**
+   * @param {object[]} repositories
+   * @param {number} [days]
+   * @param {object} [options]
+   * @param {boolean} [options.anonymize] - Replace names with stable hashed ids
+   * @param {string} [options.salt] - Mixed into the hash so ids cannot be matched against known logins;
+   *   required with anonymize
+   */
+  async calculateAuthorStats(repositories, days = 30, options = {}) {
+    if (options.anonymize && !options.salt) {
+      throw new Error('Anonymized author ids need a salt');
+    }
+
+    const byAuthor = new Map();
+
+    for (const repo of repositories) {
+      const pullRequests = await this.dbManager.getPullRequestsForLeadTime(repo.id, days);
+
+      pullRequests.forEach(pr => {
+        const author = pr.author || 'unknown';
+        if (!byAuthor.has(author)) {
+          byAuthor.set(author, { repositories: new Set(), leadTimes: [], reviewWaits: [], sizes: [], deployLatencies: [] });
+        }
+        const stats = byAuthor.get(author);
+
+        stats.repositories.add(repo.id);
+        stats.sizes.push((pr.lines_added || 0) + (pr.lines_deleted || 0));
+        if (pr.total_lead_time_hours !== null && pr.total_lead_time_hours !== undefined) {
+          stats.leadTimes.push(pr.total_lead_time_hours);
+        }
+        if (pr.first_review_at && pr.created_at_pr) {
+          stats.reviewWaits.push(this.hoursBetween(pr.created_at_pr, pr.first_review_at));
+        }
+        if (pr.deployed_at && pr.merged_at) {
+          stats.deployLatencies.push(this.hoursBetween(pr.merged_at, pr.deployed_at));
+        }
+      });
+    }
+
+    const authors = [...byAuthor].map(([author, stats]) => ({
+      author: options.anonymize ? this.anonymize(author, options.salt) : author,
+      repository_count: stats.repositories.size,
+      pr_count: stats.sizes.length,
+      median_lead_time_hours: this.median(stats.leadTimes),
+      reviewed_pr_count: stats.reviewWaits.length,
+      median_review_wait_hours: this.median(stats.reviewWaits),
+      median_pr_size_lines: this.median(stats.sizes),
+      median_deploy_latency_hours: this.median(stats.deployLatencies)
+    }));
+
+    // Ordered by name, never by a metric: this is a flow report, not a leaderboard
+    return authors.sort((a, b) => a.author.localeCompare(b.author, undefined, { sensitivity: 'base' }));
+  }
+
+  /**
+   * Stable id for an author: the same login always maps to the same id for a given salt
+   */
+  anonymize(author, salt) {
+    const hash = crypto.createHash('sha256').update(`${salt}:${author.toLowerCase()}`).digest('hex');
+    return `author-${hash.slice(0, 8)}`;
+  }
+
+  hoursBetween(from, to) {
+    return Math.max(0, (new Date(to).getTime() - new Date(from).getTime()) / HOUR_MS);
+  }
+
+  median(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    return Math.round(median * 100) / 100;
+  }
+}
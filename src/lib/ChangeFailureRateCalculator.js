@@ -0,0 +1,137 @@
+import { FAILED_DEPLOYMENT_STATUSES } from './storage/Storage.js';
+
+export const DEFAULT_CHANGE_FAILURE_SETTINGS = {
+  hotfixBranchPattern: '^hotfix[/-]',
+  hotfixLabels: ['hotfix']
+};
+
+export class ChangeFailureRateCalculator {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  /**
+   * Calculate change failure rate for a repository
+   * Change Failure Rate = Share of deployments that failed or needed remediation
+   * (a revert or hotfix PR following the deployment)
+   */
+  async calculateChangeFailureRate(repositoryId, days = 30, settings = {}) {
+    const deployments = await this.dbManager.getDeployments(repositoryId, days);
+    const pullRequests = await this.dbManager.getMergedPullRequests(repositoryId, days);
+    const hotfixMatcher = this.buildHotfixMatcher({ ...DEFAULT_CHANGE_FAILURE_SETTINGS, ...settings });
+
+    // deployment id -> reasons it is considered failed
+    const failures = new Map();
+    const addFailure = (deployment, reason) => {
+      if (!failures.has(deployment.id)) failures.set(deployment.id, new Set());
+      failures.get(deployment.id).add(reason);
+    };
+
+    const successfulDeployments = [];
+    for (const deployment of deployments) {
+      if (this.isFailedStatus(deployment.status)) {
+        addFailure(deployment, 'failed');
+      } else {
+        successfulDeployments.push(deployment);
+      }
+    }
+
+    let revertCount = 0;
+    let hotfixCount = 0;
+
+    for (const pr of pullRequests) {
+      const isRevert = this.isRevert(pr);
+      const isHotfix = !isRevert && hotfixMatcher(pr);
+      if (!isRevert && !isHotfix) continue;
+
+      const deployment = this.findPrecedingDeployment(successfulDeployments, pr.created_at_pr);
+      if (!deployment) continue;
+
+      if (isRevert) {
+        addFailure(deployment, 'revert');
+        revertCount++;
+      } else {
+        addFailure(deployment, 'hotfix');
+        hotfixCount++;
+      }
+    }
+
+    const totalDeployments = deployments.length;
+    const failedDeployments = failures.size;
+    const changeFailureRate = totalDeployments > 0 ? (failedDeployments / totalDeployments) * 100 : null;
+    const category = changeFailureRate === null ? null : this.categorizeChangeFailureRate(changeFailureRate);
+
+    return {
+      repository_id: repositoryId,
+      days,
+      total_deployments: totalDeployments,
+      failed_deployments: failedDeployments,
+      failed_status_count: deployments.filter(d => this.isFailedStatus(d.status)).length,
+      revert_count: revertCount,
+      hotfix_count: hotfixCount,
+      change_failure_rate: changeFailureRate === null ? null : Math.round(changeFailureRate * 10) / 10,
+      performance: category?.category || 'N/A',
+      failures: deployments
+        .filter(d => failures.has(d.id))
+        .map(d => ({
+          deployment_id: d.deployment_id,
+          deployment_date: d.deployment_date,
+          tag_name: d.tag_name,
+          reasons: [...failures.get(d.id)]
+        }))
+    };
+  }
+
+  /**
+   * Find the latest successful deployment before a given time
+   */
+  findPrecedingDeployment(deployments, before) {
+    const beforeTime = new Date(before).getTime();
+    let match = null;
+
+    for (const deployment of deployments) {
+      if (new Date(deployment.deployment_date).getTime() > beforeTime) break;
+      match = deployment;
+    }
+
+    return match;
+  }
+
+  isFailedStatus(status) {
+    return FAILED_DEPLOYMENT_STATUSES.includes((status || '').toLowerCase());
+  }
+
+  isRevert(pr) {
+    return !!pr.is_revert || /^Revert\b/i.test(pr.title || '');
+  }
+
+  buildHotfixMatcher(settings) {
+    const branchPattern = settings.hotfixBranchPattern ? new RegExp(settings.hotfixBranchPattern, 'i') : null;
+    const hotfixLabels = (settings.hotfixLabels || []).map(label => label.toLowerCase());
+
+    return (pr) => {
+      if (branchPattern && branchPattern.test(pr.head_branch || '')) return true;
+      return this.parseLabels(pr.labels).some(label => hotfixLabels.includes(label.toLowerCase()));
+    };
+  }
+
+  parseLabels(labels) {
+    if (!labels) return [];
+    try {
+      const parsed = JSON.parse(labels);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Categorize change failure rate performance
+   */
+  categorizeChangeFailureRate(percent) {
+    if (percent <= 15) return { category: 'Elite', color: 'green', description: '0-15%' };
+    if (percent <= 30) return { category: 'High', color: 'blue', description: '16-30%' };
+    if (percent <= 45) return { category: 'Medium', color: 'yellow', description: '31-45%' };
+    return { category: 'Low', color: 'red', description: 'More than 45%' };
+  }
+}
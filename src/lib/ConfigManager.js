@@ -6,10 +6,29 @@ import chalk from 'chalk';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const CONFIG_FILE = path.join(__dirname, '../../config.json');
+const DEFAULT_HOSTS = { github: 'github.com', gitlab: 'gitlab.com', bitbucket: 'bitbucket.org' };
+
+/**
+ * Glob on "owner/name": `*` matches within one path segment, `?` one character. Case-insensitive
+ * like the hosting platforms.
+ */
+function globToRegExp(glob) {
+  const pattern = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '[^/]*';
+      if (char === '?') return '[^/]';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${pattern}$`, 'i');
+}
 
 export class ConfigManager {
   constructor() {
     this.config = null;
+    // Set by --team: getRepositories() then only returns that team's repositories
+    this.team = null;
   }
 
   async loadConfig() {
@@ -24,7 +43,15 @@ export class ConfigManager {
           repositories: [],
           settings: {
             defaultDays: 30,
-            updateInterval: 3600 // 1 hour in seconds
+            updateInterval: 3600, // 1 hour in seconds
+            syncOverlapHours: 24,
+            changeFailure: {
+              hotfixBranchPattern: '^hotfix[/-]',
+              hotfixLabels: ['hotfix']
+            },
+            incidents: {
+              label: 'incident'
+            }
           }
         };
         await this.saveConfig();
@@ -43,8 +70,23 @@ export class ConfigManager {
       await this.loadConfig();
     }
 
+    const baseId = `${repoConfig.platform}-${repoConfig.owner}-${repoConfig.name}`;
+    const isTaken = candidate => this.config.repositories.some(repo => repo.id === candidate);
+
+    // The same owner/name can exist on several instances of a platform: qualify by host, then count
+    let id = baseId;
+    if (isTaken(id)) {
+      const host = repoConfig.apiUrl
+        ? new URL(repoConfig.apiUrl).hostname
+        : DEFAULT_HOSTS[repoConfig.platform?.toLowerCase()];
+      id = host ? `${baseId}-${host}` : baseId;
+      for (let counter = 2; isTaken(id); counter++) {
+        id = `${baseId}-${host ? `${host}-` : ''}${counter}`;
+      }
+    }
+
     this.config.repositories.push({
-      id: `${repoConfig.platform}-${repoConfig.owner}-${repoConfig.name}`,
+      id,
       ...repoConfig,
       addedAt: new Date().toISOString()
     });
@@ -56,7 +98,70 @@ export class ConfigManager {
     if (!this.config) {
       await this.loadConfig();
     }
-    return this.config.repositories;
+    return this.team ? this.getTeamRepositories(this.team) : this.config.repositories;
+  }
+
+  /**
+   * Teams from config.json. Each lists its repositories as ids or globs on owner/name:
+   * `{ "name": "payments", "repositories": ["github-acme-ledger", "acme/payments-*"] }`
+   */
+  async getTeams() {
+    if (!this.config) {
+      await this.loadConfig();
+    }
+    return this.config.teams || [];
+  }
+
+  async getTeam(teamName) {
+    const teams = await this.getTeams();
+    const team = teams.find(candidate => candidate.name === teamName);
+    if (!team) {
+      const known = teams.map(candidate => candidate.name).join(', ') || 'none configured';
+      throw new Error(`Team "${teamName}" not found in configuration (teams: ${known})`);
+    }
+    return team;
+  }
+
+  /**
+   * Configured repositories that belong to a team, in configuration order
+   */
+  async getTeamRepositories(teamName) {
+    const team = await this.getTeam(teamName);
+    const matchers = (team.repositories || []).map(entry => ({ entry, glob: globToRegExp(entry) }));
+
+    return this.config.repositories.filter(repo =>
+      matchers.some(({ entry, glob }) => entry === repo.id || glob.test(`${repo.owner}/${repo.name}`))
+    );
+  }
+
+  /**
+   * Narrow every later getRepositories() call to one team (the --team option)
+   */
+  async setTeam(teamName) {
+    const repositories = await this.getTeamRepositories(teamName);
+    if (repositories.length === 0) {
+      throw new Error(`Team "${teamName}" matches no configured repositories`);
+    }
+    this.team = teamName;
+    return repositories;
+  }
+
+  /**
+   * Drop rows of repositories outside the active team; queries without a repository filter
+   * return every repository in the database
+   */
+  async filterToTeam(rows) {
+    if (!this.team) return rows;
+
+    const repositoryIds = new Set((await this.getRepositories()).map(repo => repo.id));
+    return rows.filter(row => repositoryIds.has(row.repository_id));
+  }
+
+  async getSettings() {
+    if (!this.config) {
+      await this.loadConfig();
+    }
+    return this.config.settings || {};
   }
 
   async interactiveSetup() {
@@ -72,25 +177,53 @@ export class ConfigManager {
     try {
       console.log('Let\'s add a new repository to track:\n');
 
-      const platform = await question('Platform (github/gitlab/bitbucket): ');
+      const platform = (await question('Platform (github/gitlab/bitbucket/local): ')).toLowerCase();
       const owner = await question('Repository owner/organization: ');
       const name = await question('Repository name: ');
-      const deploymentMethod = await question('Deployment detection method (tags/releases/workflow): ');
-      const branch = await question('Main branch (optional, default: main): ') || 'main';
 
-      const repoConfig = {
-        platform: platform.toLowerCase(),
-        owner,
-        name,
-        deploymentMethod: deploymentMethod.toLowerCase(),
-        branch,
-        url: this.buildRepoUrl(platform, owner, name)
-      };
+      if (platform === 'local') {
+        const localPath = path.resolve(await question('Path to the local clone: '));
+        const branch = await question('Deployed branch (optional, default: main): ') || 'main';
+
+        await this.addRepository({
+          platform,
+          owner,
+          name,
+          deploymentMethod: 'tags',
+          branch,
+          path: localPath,
+          url: `file://${localPath}`
+        });
+
+        console.log(chalk.green('\n✅ Repository added successfully!'));
+        console.log(chalk.gray(`Added: file://${localPath}`));
+      } else {
+        const deploymentMethod = await question('Deployment detection method (tags/releases/workflow/pipelines/deployments): ');
+        const branch = await question('Main branch (optional, default: main): ') || 'main';
+        const apiUrl = await question('API base URL for self-hosted instances (optional, e.g. https://ghe.example.com/api/v3): ');
+        const tokenEnv = apiUrl ? await question('Token environment variable for this instance (optional): ') : '';
+        const environments = await question('Environments in promotion order, comma separated (optional, default: production): ');
+
+        const repoConfig = {
+          platform,
+          owner,
+          name,
+          deploymentMethod: deploymentMethod.toLowerCase(),
+          branch,
+          url: this.buildRepoUrl(platform, owner, name, apiUrl || null)
+        };
 
-      await this.addRepository(repoConfig);
+        if (apiUrl) repoConfig.apiUrl = apiUrl;
+        if (tokenEnv) repoConfig.tokenEnv = tokenEnv;
+        if (environments.trim()) {
+          repoConfig.environments = environments.split(',').map(environment => environment.trim()).filter(Boolean);
+        }
 
-      console.log(chalk.green('\n✅ Repository added successfully!'));
-      console.log(chalk.gray(`Added: ${repoConfig.url}`));
+        await this.addRepository(repoConfig);
+
+        console.log(chalk.green('\n✅ Repository added successfully!'));
+        console.log(chalk.gray(`Added: ${repoConfig.url}`));
+      }
 
       const addAnother = await question('\nAdd another repository? (y/N): ');
       if (addAnother.toLowerCase() === 'y') {
@@ -102,7 +235,12 @@ export class ConfigManager {
     }
   }
 
-  buildRepoUrl(platform, owner, name) {
+  buildRepoUrl(platform, owner, name, apiUrl = null) {
+    const webBaseUrl = apiUrl ? this.getWebBaseUrl(apiUrl) : null;
+    if (webBaseUrl) {
+      return `${webBaseUrl}/${owner}/${name}`;
+    }
+
     const urls = {
       github: `https://github.com/${owner}/${name}`,
       gitlab: `https://gitlab.com/${owner}/${name}`,
@@ -111,6 +249,23 @@ export class ConfigManager {
     return urls[platform.toLowerCase()] || `${platform}:${owner}/${name}`;
   }
 
+  /**
+   * Derive the web host from an API base URL
+   * (https://ghe.example.com/api/v3, https://gitlab.example.com/api/v4 -> https://<host>)
+   */
+  getWebBaseUrl(apiUrl) {
+    try {
+      const url = new URL(apiUrl);
+      if (url.hostname.startsWith('api.')) {
+        url.hostname = url.hostname.slice('api.'.length);
+      }
+      const pathname = url.pathname.replace(/\/+$/, '').replace(/\/(api(\/v\d+)?|\d+\.\d+)$/, '');
+      return `${url.protocol}//${url.host}${pathname}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
   async listRepositories() {
     const repositories = await this.getRepositories();
     
@@ -0,0 +1,105 @@
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Searching further than this for the next match means the expression never matches (e.g. 30 Feb)
+const MAX_SEARCH_MINUTES = 366 * 24 * 60 * 4;
+
+export class CronSchedule {
+  /**
+   * Five-field cron expression (minute hour day-of-month month day-of-week) in local time.
+   * Supports `*`, lists (`1,15`), ranges (`1-5`), steps (`*\/15`, `0-30/10`) and the
+   * @hourly/@daily/@weekly/@monthly shortcuts. As in cron, when both day fields are
+   * restricted a day matching either one runs.
+   */
+  constructor(expression) {
+    this.expression = expression;
+    const fields = (SHORTCUTS[expression.trim()] || expression).trim().split(/\s+/);
+
+    if (fields.length !== FIELDS.length) {
+      throw new Error(`Invalid cron expression "${expression}": expected 5 fields, got ${fields.length}`);
+    }
+
+    [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+      fields.map((field, index) => this.parseField(field, FIELDS[index]));
+
+    // 7 is an alias for Sunday
+    if (this.daysOfWeek.has(7)) this.daysOfWeek.add(0);
+    this.dayOfMonthRestricted = fields[2] !== '*';
+    this.dayOfWeekRestricted = fields[4] !== '*';
+  }
+
+  parseField(field, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+      const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid cron ${name} "${part}" in "${this.expression}"`);
+      }
+
+      const [, start, end, step] = match;
+      const from = start === '*' ? min : parseInt(start);
+      // "5/10" means every 10 from 5 to the end of the range
+      const to = start === '*' ? max : end !== undefined ? parseInt(end) : step ? max : from;
+      const increment = step ? parseInt(step) : 1;
+
+      if (from < min || to > max || from > to || increment < 1) {
+        throw new Error(`Cron ${name} "${part}" out of range ${min}-${max} in "${this.expression}"`);
+      }
+
+      for (let value = from; value <= to; value += increment) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  matchesDay(date) {
+    const dayOfMonth = this.daysOfMonth.has(date.getDate());
+    const dayOfWeek = this.daysOfWeek.has(date.getDay());
+
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+    return dayOfMonth && dayOfWeek;
+  }
+
+  /**
+   * First matching minute strictly after `after`
+   */
+  next(after = new Date()) {
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    for (let step = 0; step < MAX_SEARCH_MINUTES; step++) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1);
+      } else {
+        return date;
+      }
+    }
+
+    throw new Error(`Cron expression "${this.expression}" never matches`);
+  }
+}
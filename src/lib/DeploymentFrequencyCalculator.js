@@ -0,0 +1,51 @@
+export class DeploymentFrequencyCalculator {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  /**
+   * Calculate deployment frequency metrics for one or all repositories
+   * Deployment Frequency = How often code is deployed to production
+   */
+  async calculateFrequency(repositoryId = null, days = 30) {
+    const stats = await this.dbManager.getDeploymentStats(repositoryId, days);
+    return stats.map(stat => this.buildFrequencyMetric(stat, days));
+  }
+
+  /**
+   * Derive per-day/week/month rates and tier from a deployment stats row
+   */
+  buildFrequencyMetric(stat, days) {
+    const weeksInWindow = Math.max(1, Math.ceil(days / 7));
+    const deploymentsPerDay = stat.deployment_count / days;
+    const activeWeeks = Math.min(stat.active_weeks || 0, weeksInWindow);
+    const category = this.categorizeDeploymentFrequency(deploymentsPerDay);
+
+    return {
+      ...stat,
+      days,
+      deployments_per_day: this.round(deploymentsPerDay),
+      deployments_per_week: this.round(deploymentsPerDay * 7),
+      deployments_per_month: this.round(deploymentsPerDay * 30),
+      weeks_in_window: weeksInWindow,
+      active_weeks: activeWeeks,
+      active_weeks_percent: this.round((activeWeeks / weeksInWindow) * 100, 1),
+      performance: category.category
+    };
+  }
+
+  /**
+   * Categorize deployment frequency performance
+   */
+  categorizeDeploymentFrequency(deploymentsPerDay) {
+    if (deploymentsPerDay >= 1) return { category: 'Elite', color: 'green', description: 'On-demand (daily or more)' };
+    if (deploymentsPerDay >= 1 / 7) return { category: 'High', color: 'blue', description: 'Daily to weekly' };
+    if (deploymentsPerDay >= 1 / 30) return { category: 'Medium', color: 'yellow', description: 'Weekly to monthly' };
+    return { category: 'Low', color: 'red', description: 'Less than once per month' };
+  }
+
+  round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+}
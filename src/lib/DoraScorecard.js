@@ -0,0 +1,137 @@
+import { LeadTimeCalculator } from './LeadTimeCalculator.js';
+import { DeploymentFrequencyCalculator } from './DeploymentFrequencyCalculator.js';
+import { ChangeFailureRateCalculator } from './ChangeFailureRateCalculator.js';
+import { TimeToRestoreCalculator } from './TimeToRestoreCalculator.js';
+
+export const TIER_SCORES = { Elite: 4, High: 3, Medium: 2, Low: 1 };
+const SCORE_TIERS = { 4: 'Elite', 3: 'High', 2: 'Medium', 1: 'Low' };
+
+export class DoraScorecard {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+    this.leadTimeCalculator = new LeadTimeCalculator(dbManager);
+    this.deploymentFrequencyCalculator = new DeploymentFrequencyCalculator(dbManager);
+    this.changeFailureRateCalculator = new ChangeFailureRateCalculator(dbManager);
+    this.timeToRestoreCalculator = new TimeToRestoreCalculator(dbManager);
+  }
+
+  /**
+   * Combine the four DORA metrics for a single repository
+   */
+  async buildRepositoryScorecard(repo, days = 30, settings = {}) {
+    const [frequency] = await this.deploymentFrequencyCalculator.calculateFrequency(repo.id, days);
+    const [leadTime] = await this.dbManager.getLeadTimeStats(repo.id, days);
+    const changeFailureSettings = { ...settings.changeFailure, ...repo.changeFailure };
+    const changeFailure = await this.changeFailureRateCalculator.calculateChangeFailureRate(repo.id, days, changeFailureSettings);
+    const timeToRestore = await this.timeToRestoreCalculator.calculateTimeToRestore(repo.id, days);
+
+    const scorecard = {
+      scope: repo.id,
+      days,
+      deployment_frequency: {
+        deployments: frequency?.deployment_count || 0,
+        deployments_per_week: frequency?.deployments_per_week || 0,
+        tier: this.deploymentFrequencyCalculator.categorizeDeploymentFrequency(frequency?.deployments_per_day || 0).category
+      },
+      lead_time: {
+        pr_count: leadTime?.pr_count || 0,
+        avg_lead_time_hours: leadTime?.avg_lead_time_hours ?? null,
+        tier: leadTime ? this.leadTimeCalculator.categorizeLeadTime(leadTime.avg_lead_time_hours).category : 'N/A'
+      },
+      change_failure_rate: {
+        total_deployments: changeFailure.total_deployments,
+        failed_deployments: changeFailure.failed_deployments,
+        change_failure_rate: changeFailure.change_failure_rate,
+        tier: changeFailure.performance
+      },
+      time_to_restore: {
+        incident_count: timeToRestore.incident_count,
+        mean_restore_hours: timeToRestore.mean_restore_hours,
+        median_restore_hours: timeToRestore.median_restore_hours,
+        tier: timeToRestore.performance
+      }
+    };
+
+    scorecard.overall = this.calculateOverallLevel(scorecard);
+    return scorecard;
+  }
+
+  /**
+   * Pool every repository into one organization-wide scorecard
+   */
+  async buildOrganizationScorecard(scorecards, days = 30) {
+    const repoCount = scorecards.length;
+    const totalDeployments = scorecards.reduce((sum, card) => sum + card.deployment_frequency.deployments, 0);
+    const prCount = scorecards.reduce((sum, card) => sum + card.lead_time.pr_count, 0);
+    const leadTimeHoursTotal = scorecards.reduce((sum, card) => sum + (card.lead_time.avg_lead_time_hours || 0) * card.lead_time.pr_count, 0);
+    const totalChanges = scorecards.reduce((sum, card) => sum + card.change_failure_rate.total_deployments, 0);
+    const failedChanges = scorecards.reduce((sum, card) => sum + card.change_failure_rate.failed_deployments, 0);
+
+    // Median restore time is taken over all incidents, not over repository medians
+    const restoreHours = [];
+    for (const card of scorecards) {
+      const incidents = await this.dbManager.getIncidents(card.scope, days);
+      restoreHours.push(...this.timeToRestoreCalculator.getRestoreHours(incidents));
+    }
+    restoreHours.sort((a, b) => a - b);
+
+    // Frequency is tiered per repository so the org level does not grow with the number of repos
+    const deploymentsPerRepoPerDay = repoCount > 0 ? totalDeployments / repoCount / days : 0;
+    const avgLeadTimeHours = prCount > 0 ? leadTimeHoursTotal / prCount : null;
+    const changeFailureRate = totalChanges > 0 ? Math.round((failedChanges / totalChanges) * 1000) / 10 : null;
+    const meanRestoreHours = restoreHours.length > 0
+      ? restoreHours.reduce((sum, hours) => sum + hours, 0) / restoreHours.length
+      : null;
+    const medianRestoreHours = this.timeToRestoreCalculator.median(restoreHours);
+
+    const scorecard = {
+      scope: 'organization',
+      days,
+      repository_count: repoCount,
+      deployment_frequency: {
+        deployments: totalDeployments,
+        deployments_per_week: Math.round(deploymentsPerRepoPerDay * 7 * 100) / 100,
+        tier: this.deploymentFrequencyCalculator.categorizeDeploymentFrequency(deploymentsPerRepoPerDay).category
+      },
+      lead_time: {
+        pr_count: prCount,
+        avg_lead_time_hours: avgLeadTimeHours === null ? null : Math.round(avgLeadTimeHours * 100) / 100,
+        tier: avgLeadTimeHours === null ? 'N/A' : this.leadTimeCalculator.categorizeLeadTime(avgLeadTimeHours).category
+      },
+      change_failure_rate: {
+        total_deployments: totalChanges,
+        failed_deployments: failedChanges,
+        change_failure_rate: changeFailureRate,
+        tier: changeFailureRate === null ? 'N/A' : this.changeFailureRateCalculator.categorizeChangeFailureRate(changeFailureRate).category
+      },
+      time_to_restore: {
+        incident_count: scorecards.reduce((sum, card) => sum + card.time_to_restore.incident_count, 0),
+        mean_restore_hours: meanRestoreHours === null ? null : Math.round(meanRestoreHours * 100) / 100,
+        median_restore_hours: medianRestoreHours === null ? null : Math.round(medianRestoreHours * 100) / 100,
+        tier: medianRestoreHours === null ? 'N/A' : this.timeToRestoreCalculator.categorizeTimeToRestore(medianRestoreHours).category
+      }
+    };
+
+    scorecard.overall = this.calculateOverallLevel(scorecard);
+    return scorecard;
+  }
+
+  /**
+   * Overall DORA level: rounded average of the tiers that have data
+   */
+  calculateOverallLevel(scorecard) {
+    const scores = [
+      scorecard.deployment_frequency.tier,
+      scorecard.lead_time.tier,
+      scorecard.change_failure_rate.tier,
+      scorecard.time_to_restore.tier
+    ]
+      .map(tier => TIER_SCORES[tier])
+      .filter(Boolean);
+
+    if (scores.length === 0) return 'N/A';
+
+    const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    return SCORE_TIERS[Math.round(average)];
+  }
+}
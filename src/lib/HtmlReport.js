@@ -0,0 +1,255 @@
+import { FAILED_DEPLOYMENT_STATUSES } from './storage/Storage.js';
+
+// Lead time histogram buckets (upper bound in hours)
+const HISTOGRAM_BUCKETS = [
+  { label: '< 1h', max: 1 },
+  { label: '1-6h', max: 6 },
+  { label: '6-24h', max: 24 },
+  { label: '1-3d', max: 72 },
+  { label: '3-7d', max: 168 },
+  { label: '1-2w', max: 336 },
+  { label: '2-4w', max: 720 },
+  { label: '> 4w', max: Infinity }
+];
+
+const PERCENTILE_SERIES = [
+  { key: 'p50', label: 'P50', color: '#2563eb' },
+  { key: 'p75', label: 'P75', color: '#16a34a' },
+  { key: 'p90', label: 'P90', color: '#d97706' },
+  { key: 'p95', label: 'P95', color: '#dc2626' }
+];
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2937; margin: 2rem auto; max-width: 960px; padding: 0 1rem; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2.5rem; }
+  h3 { margin-bottom: 0.5rem; }
+  .meta { color: #6b7280; margin-top: 0; }
+  table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1rem; }
+  th, td { border: 1px solid #e5e7eb; padding: 0.4rem 0.6rem; text-align: left; }
+  th { background: #f9fafb; }
+  .badge { display: inline-block; border-radius: 999px; padding: 0.1rem 0.6rem; font-size: 0.85rem; font-weight: 600; color: #fff; }
+  .tier-elite { background: #16a34a; }
+  .tier-high { background: #2563eb; }
+  .tier-medium { background: #d97706; }
+  .tier-low { background: #dc2626; }
+  .tier-na { background: #9ca3af; }
+  .chart { margin: 0.5rem 0 1rem; }
+  .chart text { font-size: 11px; fill: #6b7280; }
+  .empty { color: #9ca3af; font-style: italic; }
+  .legend span { margin-right: 1rem; font-size: 0.85rem; }
+  .legend i { display: inline-block; width: 0.8rem; height: 0.8rem; margin-right: 0.3rem; vertical-align: middle; }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatHours(hours) {
+  if (hours === null || hours === undefined) return 'N/A';
+  if (hours < 1) return `${Math.round(hours * 60)}m`;
+  const days = Math.round(hours / 24 * 10) / 10;
+  return days < 1 ? `${Math.round(hours)}h` : `${days}d`;
+}
+
+function formatDate(value) {
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+export class HtmlReport {
+  /**
+   * Renders the DORA report as one self-contained HTML document: inline CSS and SVG charts,
+   * no scripts, fonts or images, so it survives being attached to an email.
+   *
+   * @param {object} report
+   * @param {number} report.days
+   * @param {string} report.generatedAt - ISO timestamp
+   * @param {object} report.organization - Organization scorecard
+   * @param {Array} report.repositories - { repo, scorecard, deployments, leadTimes, trend, insights } per repository
+   */
+  render(report) {
+    const sections = report.repositories.map(entry => this.renderRepository(entry, report));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>DORA report - last ${report.days} days</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>DORA report</h1>
+<p class="meta">Last ${report.days} days, generated ${escapeHtml(report.generatedAt.replace('T', ' ').slice(0, 16))} UTC</p>
+<h2>Summary</h2>
+${this.renderScorecardTable([...report.repositories.map(entry => entry.scorecard), report.organization])}
+${sections.join('\n')}
+</body>
+</html>
+`;
+  }
+
+  renderRepository({ repo, scorecard, deployments, leadTimes, trend, insights }, report) {
+    return `<h2>${escapeHtml(`${repo.owner}/${repo.name}`)} ${this.badge(scorecard.overall)}</h2>
+<h3>Deployments</h3>
+${this.renderTimeline(deployments, report.days, report.generatedAt)}
+<h3>Lead time distribution</h3>
+${this.renderHistogram(leadTimes)}
+<h3>Lead time percentiles by week</h3>
+${this.renderTrend(trend)}
+<h3>Insights</h3>
+${this.renderInsights(insights)}`;
+  }
+
+  badge(tier) {
+    const className = ['Elite', 'High', 'Medium', 'Low'].includes(tier) ? `tier-${tier.toLowerCase()}` : 'tier-na';
+    return `<span class="badge ${className}">${escapeHtml(tier || 'N/A')}</span>`;
+  }
+
+  renderScorecardTable(scorecards) {
+    const rows = scorecards.map(card => {
+      const name = card.scope === 'organization'
+        ? `<strong>Organization (${card.repository_count} repositories)</strong>`
+        : escapeHtml(card.scope.replace(/^[^-]+-[^-]+-/, ''));
+      const { deployment_frequency: df, lead_time: lt, change_failure_rate: cfr, time_to_restore: ttr } = card;
+      const rate = cfr.change_failure_rate === null ? 'N/A' : `${cfr.change_failure_rate.toFixed(1)}%`;
+
+      return `<tr><td>${name}</td>
+<td>${df.deployments_per_week.toFixed(1)}/week ${this.badge(df.tier)}</td>
+<td>${formatHours(lt.avg_lead_time_hours)} ${this.badge(lt.tier)}</td>
+<td>${rate} ${this.badge(cfr.tier)}</td>
+<td>${formatHours(ttr.median_restore_hours)} ${this.badge(ttr.tier)}</td>
+<td>${this.badge(card.overall)}</td></tr>`;
+    });
+
+    return `<table>
+<tr><th>Scope</th><th>Deployment Frequency</th><th>Lead Time</th><th>Change Failure Rate</th><th>Time to Restore</th><th>Overall</th></tr>
+${rows.join('\n')}
+</table>`;
+  }
+
+  /**
+   * One dot per deployment along the window; failed deployments in red
+   */
+  renderTimeline(deployments, days, generatedAt) {
+    if (deployments.length === 0) return '<p class="empty">No deployments in this period.</p>';
+
+    const width = 900;
+    const height = 60;
+    const padding = 20;
+    const end = new Date(generatedAt).getTime();
+    const start = end - days * 24 * 60 * 60 * 1000;
+    const x = time => padding + ((time - start) / (end - start)) * (width - 2 * padding);
+
+    const dots = deployments.map(deployment => {
+      const failed = FAILED_DEPLOYMENT_STATUSES.includes(deployment.status);
+      const label = `${formatDate(deployment.deployment_date)} ${deployment.tag_name || deployment.deployment_id} (${deployment.environment || 'production'}, ${deployment.status})`;
+      return `<circle cx="${x(new Date(deployment.deployment_date).getTime()).toFixed(1)}" cy="25" r="5" fill="${failed ? '#dc2626' : '#16a34a'}" fill-opacity="0.7"><title>${escapeHtml(label)}</title></circle>`;
+    });
+
+    const failedCount = deployments.filter(deployment => FAILED_DEPLOYMENT_STATUSES.includes(deployment.status)).length;
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img">
+<line x1="${padding}" y1="25" x2="${width - padding}" y2="25" stroke="#d1d5db"/>
+${dots.join('\n')}
+<text x="${padding}" y="${height - 5}">${formatDate(start)}</text>
+<text x="${width - padding}" y="${height - 5}" text-anchor="end">${formatDate(end)}</text>
+</svg>
+<p class="meta">${deployments.length} deployments, ${failedCount} failed</p>`;
+  }
+
+  renderHistogram(leadTimes) {
+    if (leadTimes.length === 0) return '<p class="empty">No lead time data in this period.</p>';
+
+    const counts = HISTOGRAM_BUCKETS.map(() => 0);
+    leadTimes.forEach(hours => {
+      counts[HISTOGRAM_BUCKETS.findIndex(bucket => hours < bucket.max)]++;
+    });
+
+    const width = 900;
+    const height = 180;
+    const chartHeight = 140;
+    const barWidth = width / HISTOGRAM_BUCKETS.length;
+    const maxCount = Math.max(...counts);
+
+    const bars = HISTOGRAM_BUCKETS.map((bucket, index) => {
+      const barHeight = maxCount ? (counts[index] / maxCount) * (chartHeight - 15) : 0;
+      const x = index * barWidth;
+      return `<rect x="${x + 8}" y="${chartHeight - barHeight}" width="${barWidth - 16}" height="${barHeight}" fill="#2563eb" fill-opacity="0.8"/>
+<text x="${x + barWidth / 2}" y="${chartHeight - barHeight - 4}" text-anchor="middle">${counts[index]}</text>
+<text x="${x + barWidth / 2}" y="${chartHeight + 16}" text-anchor="middle">${escapeHtml(bucket.label)}</text>`;
+    });
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img">
+<line x1="0" y1="${chartHeight}" x2="${width}" y2="${chartHeight}" stroke="#d1d5db"/>
+${bars.join('\n')}
+</svg>
+<p class="meta">${leadTimes.length} pull requests</p>`;
+  }
+
+  /**
+   * P50-P95 lines over the weekly periods; weeks without data break the line
+   */
+  renderTrend(trend) {
+    const values = trend.flatMap(period => PERCENTILE_SERIES.map(series => period[series.key])).filter(value => value !== null);
+    if (values.length === 0) return '<p class="empty">No lead time data in this period.</p>';
+
+    const width = 900;
+    const height = 220;
+    const left = 50;
+    const bottom = 190;
+    const top = 10;
+    const maxValue = Math.max(...values) || 1;
+    const step = trend.length > 1 ? (width - left - 20) / (trend.length - 1) : 0;
+    const x = index => left + (trend.length > 1 ? index * step : (width - left) / 2);
+    const y = value => bottom - (value / maxValue) * (bottom - top);
+
+    const lines = PERCENTILE_SERIES.map(series => {
+      // Split into segments at weeks without data
+      const segments = [[]];
+      trend.forEach((period, index) => {
+        if (period[series.key] === null) {
+          segments.push([]);
+        } else {
+          segments[segments.length - 1].push(`${x(index).toFixed(1)},${y(period[series.key]).toFixed(1)}`);
+        }
+      });
+
+      return segments.filter(points => points.length > 0).map(points => points.length === 1
+        ? `<circle cx="${points[0].split(',')[0]}" cy="${points[0].split(',')[1]}" r="3" fill="${series.color}"/>`
+        : `<polyline points="${points.join(' ')}" fill="none" stroke="${series.color}" stroke-width="2"/>`
+      ).join('\n');
+    });
+
+    const labels = trend.map((period, index) =>
+      `<text x="${x(index).toFixed(1)}" y="${bottom + 16}" text-anchor="middle">${formatDate(period.period_start).slice(5)}</text>`
+    );
+
+    const legend = PERCENTILE_SERIES.map(series => `<span><i style="background:${series.color}"></i>${series.label}</span>`).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height + 10}" width="100%" role="img">
+<line x1="${left}" y1="${bottom}" x2="${width}" y2="${bottom}" stroke="#d1d5db"/>
+<text x="${left - 6}" y="${top + 4}" text-anchor="end">${formatHours(maxValue)}</text>
+<text x="${left - 6}" y="${bottom}" text-anchor="end">0</text>
+${lines.join('\n')}
+${labels.join('\n')}
+</svg>
+<div class="legend">${legend}</div>`;
+  }
+
+  renderInsights(insights) {
+    if (!insights.category) {
+      return `<p class="empty">${escapeHtml(insights.message)}</p>
+<ul>${insights.recommendations.map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul>`;
+    }
+
+    const { p50, p75, p90, p95 } = insights.percentiles;
+
+    return `<p>Average lead time ${escapeHtml(insights.avgLeadTimeDays)} days ${this.badge(insights.category)}
+&middot; P50 ${formatHours(p50)} &middot; P75 ${formatHours(p75)} &middot; P90 ${formatHours(p90)} &middot; P95 ${formatHours(p95)}</p>
+<ul>${insights.recommendations.map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul>`;
+  }
+}
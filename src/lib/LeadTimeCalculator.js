@@ -1,5 +1,25 @@
 import chalk from 'chalk';
 
+// Ancestry lookups per PR; a PR not shipped by this many deployments is treated as undeployed
+const MAX_ANCESTRY_CHECKS = 20;
+// Only full commit SHAs can be compared; branch names and short hashes are left to the time fallback
+const SHA_PATTERN = /^[0-9a-f]{40}$/i;
+
+export const DEFAULT_ENVIRONMENTS = ['production'];
+
+// Other names platforms commonly give a stage, e.g. a GitHub Environment called "prod"
+const ENVIRONMENT_ALIASES = {
+  production: ['prod']
+};
+
+/**
+ * Lowercase environment names that count as deployments to `environment`
+ */
+export function environmentNames(environment) {
+  const name = environment.toLowerCase();
+  return [name, ...(ENVIRONMENT_ALIASES[name] || [])];
+}
+
 export class LeadTimeCalculator {
   constructor(dbManager) {
     this.dbManager = dbManager;
@@ -8,10 +28,18 @@ export class LeadTimeCalculator {
   /**
    * Calculate lead time metrics for a repository
    * Lead Time = Time from first commit to production deployment
+   *
+   * @param {object} [options]
+   * @param {function} [options.isAncestor] - (ancestorSha, descendantSha) => Promise<boolean>, from the
+   *   provider's compare API or a local clone; without it PRs fall back to the next deployment by time
+   * @param {string[]} [options.environments] - Promotion order, e.g. ['dev', 'staging', 'production'];
+   *   lead time is measured to the last one. Names match case-insensitively ("prod" counts as production).
    */
-  async calculateLeadTime(repositoryId, days = 30) {
+  async calculateLeadTime(repositoryId, days = 30, options = {}) {
     console.log(chalk.blue(`📊 Calculating lead time for repository: ${repositoryId}`));
 
+    await this.dbManager.pruneLeadTimeMetrics(repositoryId);
+
     // Get all merged PRs for the time period
     const pullRequests = await this.dbManager.getPullRequestsForLeadTime(repositoryId, days);
     
@@ -26,9 +54,10 @@ export class LeadTimeCalculator {
 
     for (const pr of pullRequests) {
       try {
-        const metric = await this.calculatePRLeadTime(repositoryId, pr);
+        const metric = await this.calculatePRLeadTime(repositoryId, pr, options);
         if (metric) {
           await this.dbManager.insertLeadTimeMetric(metric);
+          await this.dbManager.insertLeadTimeStages(metric.pr_id, metric.stages);
           leadTimeMetrics.push(metric);
         }
       } catch (error) {
@@ -43,7 +72,7 @@ export class LeadTimeCalculator {
   /**
    * Calculate lead time for a specific PR
    */
-  async calculatePRLeadTime(repositoryId, pr) {
+  async calculatePRLeadTime(repositoryId, pr, options = {}) {
     if (!pr.first_commit_at || !pr.merged_at) {
       return null;
     }
@@ -51,8 +80,29 @@ export class LeadTimeCalculator {
     const firstCommitTime = new Date(pr.first_commit_at);
     const mergedTime = new Date(pr.merged_at);
     
-    // Find the deployment that includes this PR's merge commit
-    const deployment = await this.findDeploymentForPR(repositoryId, pr);
+    // Find the first deployment to each environment that includes this PR's merge commit
+    const environments = options.environments?.length ? options.environments : DEFAULT_ENVIRONMENTS;
+    const stages = [];
+    let production = null;
+
+    for (const [index, environment] of environments.entries()) {
+      const match = await this.findDeploymentForPR(repositoryId, pr, options.isAncestor, environment);
+      const stageTime = match.deployment ? new Date(match.deployment.deployment_date) : null;
+
+      stages.push({
+        repository_id: repositoryId,
+        environment,
+        stage_order: index,
+        deployment_id: match.deployment?.id || null,
+        deployed_at: stageTime?.toISOString() || null,
+        hours_from_merge: stageTime ? this.calculateHoursDifference(mergedTime, stageTime) : null,
+        hours_from_first_commit: stageTime ? this.calculateHoursDifference(firstCommitTime, stageTime) : null,
+        match_confidence: match.confidence
+      });
+      production = match;
+    }
+
+    const { deployment, confidence } = production;
     
     let deployedTime = null;
     let mergeToDeployHours = null;
@@ -89,51 +139,63 @@ export class LeadTimeCalculator {
       merge_to_deploy_hours: mergeToDeployHours,
       first_commit_at: pr.first_commit_at,
       merged_at: pr.merged_at,
-      deployed_at: deployedTime?.toISOString() || null
+      deployed_at: deployedTime?.toISOString() || null,
+      match_confidence: confidence,
+      stages
     };
   }
 
   /**
-   * Find the deployment that contains this PR
+   * Find the first deployment that contains this PR.
+   * Confidence: "exact" (deployed commit is the PR's commit), "ancestry" (merge commit is in the
+   * deployed history), "time-fallback" (next deployment by date, containment unknown) or "none".
+   * `environment` restricts the search to deployments to that environment (or one of its aliases).
    */
-  async findDeploymentForPR(repositoryId, pr) {
-    return new Promise((resolve, reject) => {
-      const sql = `
-        SELECT * FROM deployments 
-        WHERE repository_id = ? 
-          AND deployment_date >= ? 
-          AND (commit_sha = ? OR commit_sha = ?)
-        ORDER BY deployment_date ASC 
-        LIMIT 1
-      `;
-
-      this.dbManager.db.get(sql, [
-        repositoryId,
-        pr.merged_at,
-        pr.head_sha,
-        pr.merge_sha
-      ], (err, row) => {
-        if (err) {
-          reject(err);
-        } else if (row) {
-          resolve(row);
-        } else {
-          // Fallback: find the next deployment after merge
-          const fallbackSql = `
-            SELECT * FROM deployments 
-            WHERE repository_id = ? 
-              AND deployment_date >= ?
-            ORDER BY deployment_date ASC 
-            LIMIT 1
-          `;
-
-          this.dbManager.db.get(fallbackSql, [repositoryId, pr.merged_at], (err, fallbackRow) => {
-            if (err) reject(err);
-            else resolve(fallbackRow || null);
-          });
+  async findDeploymentForPR(repositoryId, pr, isAncestor = null, environment = null) {
+    const candidates = await this.dbManager.getDeploymentsAfter(
+      repositoryId,
+      pr.merged_at,
+      environment ? environmentNames(environment) : null
+    );
+
+    const exact = candidates.find(deployment =>
+      deployment.commit_sha && [pr.head_sha, pr.merge_sha].includes(deployment.commit_sha)
+    );
+    if (exact) return { deployment: exact, confidence: 'exact' };
+
+    // Deployments known not to contain the PR are never a fallback
+    const excluded = new Set();
+    const prSha = pr.merge_sha || pr.head_sha;
+    if (isAncestor && SHA_PATTERN.test(prSha || '')) {
+      const checked = candidates
+        .filter(deployment => SHA_PATTERN.test(deployment.commit_sha || ''))
+        .slice(0, MAX_ANCESTRY_CHECKS);
+      let failures = 0;
+      let lastError = null;
+
+      // One failed lookup (e.g. a force-pushed commit the API no longer knows) must not stop the rest
+      for (const deployment of checked) {
+        try {
+          if (await isAncestor(prSha, deployment.commit_sha)) {
+            return { deployment, confidence: 'ancestry' };
+          }
+          excluded.add(deployment);
+        } catch (error) {
+          failures++;
+          lastError = error;
         }
-      });
-    });
+      }
+
+      if (failures > 0) {
+        console.warn(chalk.yellow(`   Warning: ${failures} ancestry checks failed for PR #${pr.pr_number}: ${lastError.message}`));
+      }
+    }
+
+    const fallback = candidates.find(deployment => !excluded.has(deployment));
+    if (fallback) {
+      return { deployment: fallback, confidence: 'time-fallback' };
+    }
+    return { deployment: null, confidence: 'none' };
   }
 
   /**
@@ -173,6 +235,53 @@ export class LeadTimeCalculator {
     return percentiles;
   }
 
+  /**
+   * Lead time percentiles per period (by merge date), oldest first. Periods without
+   * deployed PRs are kept with null percentiles so the trend shows the gap.
+   */
+  async getLeadTimePercentileTrend(repositoryId, days = 30, periodDays = 7) {
+    const pullRequests = await this.dbManager.getPullRequestsForLeadTime(repositoryId, days);
+    const periodMs = periodDays * 24 * 60 * 60 * 1000;
+    const windowStart = Date.now() - days * 24 * 60 * 60 * 1000;
+    const periodCount = Math.max(1, Math.ceil(days / periodDays));
+
+    const periods = Array.from({ length: periodCount }, (_, index) => ({
+      period_start: new Date(windowStart + index * periodMs).toISOString(),
+      hours: []
+    }));
+
+    pullRequests
+      .filter(pr => pr.total_lead_time_hours !== null && pr.total_lead_time_hours !== undefined)
+      .forEach(pr => {
+        const index = Math.floor((new Date(pr.merged_at).getTime() - windowStart) / periodMs);
+        periods[Math.min(Math.max(index, 0), periodCount - 1)].hours.push(pr.total_lead_time_hours);
+      });
+
+    return periods.map(({ period_start, hours }) => ({
+      period_start,
+      pr_count: hours.length,
+      ...this.calculatePercentiles(hours)
+    }));
+  }
+
+  /**
+   * Nearest-rank percentiles of a list of lead times, matching getLeadTimePercentiles
+   */
+  calculatePercentiles(hours) {
+    const sorted = [...hours].sort((a, b) => a - b);
+    const findPercentile = (target) => {
+      if (sorted.length === 0) return null;
+      return sorted[Math.max(Math.ceil((target / 100) * sorted.length) - 1, 0)];
+    };
+
+    return {
+      p50: findPercentile(50),
+      p75: findPercentile(75),
+      p90: findPercentile(90),
+      p95: findPercentile(95)
+    };
+  }
+
   /**
    * Categorize lead time performance
    */
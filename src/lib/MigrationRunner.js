@@ -0,0 +1,151 @@
+import chalk from 'chalk';
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+export class MigrationRunner {
+  /**
+   * Applies the numbered files in a migrations folder (NNN_name.js) in order and records each
+   * applied version in schema_version. A migration exports `up(db)`, a `description` and,
+   * when it deletes or rewrites data, `destructive = true` so the database is backed up first.
+   *
+   * @param {object} connection - SQL storage backend: run(sql, params), all(sql, params),
+   *   hasColumn(table, column) and backup(version)
+   * @param {object} [options]
+   * @param {string} [options.migrationsDir] - Defaults to the SQLite migrations in src/lib/migrations
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.migrationsDir = options.migrationsDir || MIGRATIONS_DIR;
+  }
+
+  run(sql, params = []) {
+    return this.connection.run(sql, params);
+  }
+
+  all(sql, params = []) {
+    return this.connection.all(sql, params);
+  }
+
+  /**
+   * ALTER TABLE ... ADD COLUMN unless the column already exists.
+   * Databases created before schema_version existed may already have it.
+   */
+  async addColumn(tableName, columnName, definition) {
+    if (await this.connection.hasColumn(tableName, columnName)) return;
+
+    await this.run(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`);
+  }
+
+  async ensureVersionTable() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] - Never write: a missing schema_version table reads as version 0
+   */
+  async getCurrentVersion(options = {}) {
+    if (!options.dryRun) {
+      await this.ensureVersionTable();
+    } else if (!await this.connection.hasColumn('schema_version', 'version')) {
+      return 0;
+    }
+    const [row] = await this.all('SELECT MAX(version) AS version FROM schema_version');
+    return row?.version || 0;
+  }
+
+  async loadMigrations() {
+    const files = (await fs.readdir(this.migrationsDir))
+      .filter(file => /^\d+_.+\.js$/.test(file))
+      .sort();
+
+    const migrations = [];
+    for (const file of files) {
+      const module = await import(pathToFileURL(path.join(this.migrationsDir, file)).href);
+      migrations.push({
+        version: parseInt(file),
+        name: file.replace(/\.js$/, ''),
+        description: module.description || file,
+        destructive: Boolean(module.destructive),
+        up: module.up
+      });
+    }
+
+    return migrations;
+  }
+
+  async getPendingMigrations(options = {}) {
+    const currentVersion = await this.getCurrentVersion(options);
+    const migrations = await this.loadMigrations();
+    return migrations.filter(migration => migration.version > currentVersion);
+  }
+
+  /**
+   * Apply pending migrations, each in its own transaction
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] - Only list what would be applied
+   * @param {boolean} [options.verbose] - Print a line when there is nothing to do
+   * @returns {Promise<Array>} The pending (dry run) or applied migrations
+   */
+  async migrate(options = {}) {
+    const { dryRun = false, verbose = false } = options;
+    const currentVersion = await this.getCurrentVersion({ dryRun });
+    const pending = await this.getPendingMigrations({ dryRun });
+
+    if (pending.length === 0) {
+      if (verbose) console.log(chalk.green(`✅ Database schema is up to date (version ${currentVersion})`));
+      return [];
+    }
+
+    if (dryRun) {
+      console.log(chalk.blue(`🗄️  Database schema version ${currentVersion}; ${pending.length} pending migration(s):`));
+      pending.forEach(migration => {
+        const note = migration.destructive ? chalk.yellow(' (destructive, database is backed up first)') : '';
+        console.log(`   ${migration.name}: ${migration.description}${note}`);
+      });
+      return pending;
+    }
+
+    let version = currentVersion;
+    for (const migration of pending) {
+      if (migration.destructive) {
+        await this.backup(version);
+      }
+
+      await this.run('BEGIN');
+      try {
+        await migration.up(this);
+        await this.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        await this.run('COMMIT');
+      } catch (error) {
+        await this.run('ROLLBACK');
+        throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+      }
+
+      console.log(chalk.gray(`   Applied migration ${migration.name}: ${migration.description}`));
+      version = migration.version;
+    }
+
+    return pending;
+  }
+
+  /**
+   * Copy the database before a destructive migration
+   */
+  async backup(version) {
+    const location = await this.connection.backup(version);
+    if (location) console.log(chalk.gray(`   Backed up database to ${location}`));
+    return location;
+  }
+}
@@ -0,0 +1,120 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { LeadTimeCalculator, DEFAULT_ENVIRONMENTS } from './LeadTimeCalculator.js';
+import { FAILED_DEPLOYMENT_STATUSES } from './storage/Storage.js';
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const METRICS = {
+  deployments: ['repo_stats_deployments', 'Successful deployments in the window'],
+  failedDeployments: ['repo_stats_failed_deployments', 'Failed deployments in the window'],
+  pullRequests: ['repo_stats_pull_requests', 'Merged pull requests with a lead time in the window'],
+  leadTime: ['repo_stats_lead_time_hours', 'Lead time from first commit to production deployment, by quantile'],
+  commitToMerge: ['repo_stats_commit_to_merge_hours', 'Average hours from first commit to merge'],
+  mergeToDeploy: ['repo_stats_merge_to_deploy_hours', 'Average hours from merge to production deployment'],
+  lastSync: ['repo_stats_last_sync_timestamp_seconds', 'Unix time of the last successful sync'],
+  windowDays: ['repo_stats_window_days', 'Days covered by the windowed metrics']
+};
+
+const QUANTILES = { p50: '0.5', p75: '0.75', p90: '0.9', p95: '0.95' };
+const SYNCED_DATA_TYPES = ['deployments', 'pull_requests', 'incidents'];
+
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+export class PrometheusExporter {
+  /**
+   * Renders the stored stats in the Prometheus text exposition format, served on /metrics
+   * or written for node_exporter's textfile collector. All values are gauges over the
+   * `days` window, labelled by repository, platform and environment.
+   */
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+    this.leadTimeCalculator = new LeadTimeCalculator(dbManager);
+  }
+
+  async render(repositories, days = 30) {
+    const samples = Object.fromEntries(Object.keys(METRICS).map(key => [key, []]));
+
+    for (const repo of repositories) {
+      const baseLabels = { repository: repo.id, platform: repo.platform };
+      // Lead time is measured to the last environment in the promotion order
+      const environments = repo.environments?.length ? repo.environments : DEFAULT_ENVIRONMENTS;
+      const leadTimeLabels = { ...baseLabels, environment: environments[environments.length - 1].toLowerCase() };
+
+      const deployments = await this.dbManager.getDeployments(repo.id, days);
+      const countsByEnvironment = new Map();
+      deployments.forEach(deployment => {
+        const environment = (deployment.environment || 'production').toLowerCase();
+        const counts = countsByEnvironment.get(environment) || { success: 0, failed: 0 };
+        const failed = FAILED_DEPLOYMENT_STATUSES.includes((deployment.status || '').toLowerCase());
+        counts[failed ? 'failed' : 'success']++;
+        countsByEnvironment.set(environment, counts);
+      });
+      // Always report the production environment so a repository with no deploys reads 0, not absent
+      if (!countsByEnvironment.has(leadTimeLabels.environment)) {
+        countsByEnvironment.set(leadTimeLabels.environment, { success: 0, failed: 0 });
+      }
+      countsByEnvironment.forEach((counts, environment) => {
+        samples.deployments.push([{ ...baseLabels, environment }, counts.success]);
+        samples.failedDeployments.push([{ ...baseLabels, environment }, counts.failed]);
+      });
+
+      const [leadTime] = await this.dbManager.getLeadTimeStats(repo.id, days);
+      samples.pullRequests.push([leadTimeLabels, leadTime?.pr_count || 0]);
+
+      if (leadTime) {
+        const percentiles = await this.leadTimeCalculator.getLeadTimePercentiles(repo.id, days);
+        Object.entries(QUANTILES).forEach(([key, quantile]) => {
+          if (percentiles[key] !== null) {
+            samples.leadTime.push([{ ...leadTimeLabels, quantile }, percentiles[key]]);
+          }
+        });
+        if (leadTime.avg_commit_to_merge_hours !== null) {
+          samples.commitToMerge.push([leadTimeLabels, leadTime.avg_commit_to_merge_hours]);
+        }
+        if (leadTime.avg_merge_to_deploy_hours !== null) {
+          samples.mergeToDeploy.push([leadTimeLabels, leadTime.avg_merge_to_deploy_hours]);
+        }
+      }
+
+      for (const dataType of SYNCED_DATA_TYPES) {
+        const state = await this.dbManager.getSyncState(repo.id, dataType);
+        if (state) {
+          samples.lastSync.push([{ ...baseLabels, data_type: dataType }, Math.floor(new Date(state.last_synced_at).getTime() / 1000)]);
+        }
+      }
+    }
+
+    samples.windowDays.push([{}, days]);
+
+    return Object.entries(METRICS)
+      .filter(([key]) => samples[key].length > 0)
+      .map(([key, [name, help]]) => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} gauge`,
+        ...samples[key].map(([labels, value]) => `${name}${this.formatLabels(labels)} ${value}`)
+      ].join('\n'))
+      .join('\n') + '\n';
+  }
+
+  formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+  }
+
+  /**
+   * Write for the textfile collector; the rename makes the update atomic so a scrape
+   * never reads a half-written file
+   */
+  async writeTextfile(repositories, days, outputPath) {
+    const metrics = await this.render(repositories, days);
+    const tempPath = `${outputPath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+    await fs.writeFile(tempPath, metrics);
+    await fs.rename(tempPath, outputPath);
+    return outputPath;
+  }
+}
@@ -1,21 +1,146 @@
 import chalk from 'chalk';
+import fs from 'fs/promises';
+import path from 'path';
 import { table } from 'table';
 import { GitHubProvider } from './providers/GitHubProvider.js';
 import { GitLabProvider } from './providers/GitLabProvider.js';
+import { BitbucketProvider } from './providers/BitbucketProvider.js';
+import { LocalGitProvider } from './providers/LocalGitProvider.js';
 import { LeadTimeCalculator } from './LeadTimeCalculator.js';
+import { DeploymentFrequencyCalculator } from './DeploymentFrequencyCalculator.js';
+import { ChangeFailureRateCalculator } from './ChangeFailureRateCalculator.js';
+import { TimeToRestoreCalculator, DEFAULT_INCIDENT_SETTINGS } from './TimeToRestoreCalculator.js';
+import { DoraScorecard } from './DoraScorecard.js';
+import { HtmlReport } from './HtmlReport.js';
+import { AlertManager } from './AlertManager.js';
+import { TrendCalculator } from './TrendCalculator.js';
+import { TeamRollupCalculator } from './TeamRollupCalculator.js';
+import { AuthorStatsCalculator } from './AuthorStatsCalculator.js';
+
+const TABLE_CONFIG = {
+  border: {
+    topBody: '─',
+    topJoin: '┬',
+    topLeft: '┌',
+    topRight: '┐',
+    bottomBody: '─',
+    bottomJoin: '┴',
+    bottomLeft: '└',
+    bottomRight: '┘',
+    bodyLeft: '│',
+    bodyRight: '│',
+    bodyJoin: '│',
+    joinBody: '─',
+    joinLeft: '├',
+    joinRight: '┤',
+    joinJoin: '┼'
+  }
+};
 
 export class RepoStatsCounter {
   constructor(configManager, dbManager) {
     this.configManager = configManager;
     this.dbManager = dbManager;
     this.leadTimeCalculator = new LeadTimeCalculator(dbManager);
-    this.providers = {
-      github: new GitHubProvider(),
-      gitlab: new GitLabProvider()
+    this.deploymentFrequencyCalculator = new DeploymentFrequencyCalculator(dbManager);
+    this.changeFailureRateCalculator = new ChangeFailureRateCalculator(dbManager);
+    this.timeToRestoreCalculator = new TimeToRestoreCalculator(dbManager);
+    this.doraScorecard = new DoraScorecard(dbManager);
+    this.alertManager = new AlertManager(configManager, dbManager);
+    this.trendCalculator = new TrendCalculator(dbManager);
+    this.teamRollupCalculator = new TeamRollupCalculator(dbManager);
+    this.authorStatsCalculator = new AuthorStatsCalculator(dbManager);
+    this.providerClasses = {
+      github: GitHubProvider,
+      gitlab: GitLabProvider,
+      bitbucket: BitbucketProvider,
+      local: LocalGitProvider
+    };
+    // One provider per platform instance (API base URL + token), shared by repos on that instance
+    this.providers = {};
+    this.localGitProvider = new LocalGitProvider();
+  }
+
+  getProvider(repo) {
+    const Provider = this.providerClasses[repo.platform];
+    if (!Provider) return null;
+
+    const key = [repo.platform, repo.apiUrl || '', repo.tokenEnv || ''].join('|');
+    if (!this.providers[key]) {
+      const options = {};
+      if (repo.apiUrl) options.baseURL = repo.apiUrl;
+      if (repo.apiUrl || repo.tokenEnv) {
+        // Never fall back to the default token: it belongs to github.com / gitlab.com / bitbucket.org
+        options.token = repo.tokenEnv ? process.env[repo.tokenEnv] : undefined;
+        if (repo.tokenEnv && !options.token) {
+          console.log(chalk.yellow(`⚠️  Environment variable ${repo.tokenEnv} is not set for ${repo.owner}/${repo.name}`));
+        }
+      }
+      this.providers[key] = new Provider(options);
+    }
+
+    return this.providers[key];
+  }
+
+  /**
+   * Ancestry check used to match PRs to deployments: a local clone when the repository has a
+   * `path`, otherwise the provider's compare API. Answers are cached for the calculator run.
+   */
+  getAncestryChecker(repo) {
+    const source = repo.path ? this.localGitProvider : this.getProvider(repo);
+    if (!source?.isAncestor) return null;
+
+    const cache = new Map();
+    return async (ancestorSha, descendantSha) => {
+      const key = `${ancestorSha}..${descendantSha}`;
+      if (!cache.has(key)) {
+        cache.set(key, await source.isAncestor(repo, ancestorSha, descendantSha));
+      }
+      return cache.get(key);
+    };
+  }
+
+  /**
+   * Per-repository options for LeadTimeCalculator.calculateLeadTime
+   */
+  getLeadTimeOptions(repo) {
+    return {
+      isAncestor: this.getAncestryChecker(repo),
+      environments: repo.environments
     };
   }
 
-  async countDeployments(days = 30, specificRepo = null) {
+  /**
+   * Bookkeeping after deployments were counted or lead time recalculated: refresh the daily
+   * rollups and check the alert rules
+   *
+   * @returns {Promise<object[]>} Alerts delivered
+   */
+  async afterCollection(repo, days = 30) {
+    await this.trendCalculator.updateDailyStats(repo.id, days);
+    return this.alertManager.checkRepository(repo, days);
+  }
+
+  /**
+   * Where an incremental sync of `dataType` should start, or null for a full window fetch.
+   * The stored cursor is rewound by settings.syncOverlapHours so late-arriving updates are not missed.
+   */
+  async getSyncCursor(repo, dataType, days, options = {}) {
+    if (options.fullResync) return null;
+
+    const state = await this.dbManager.getSyncState(repo.id, dataType);
+    // A wider window than last time needs the older history too
+    if (!state?.cursor || (state.days || 0) < days) return null;
+
+    const settings = await this.configManager.getSettings();
+    const overlapMs = (settings.syncOverlapHours ?? 24) * 60 * 60 * 1000;
+    const windowStart = Date.now() - days * 24 * 60 * 60 * 1000;
+    const since = Math.max(new Date(state.cursor).getTime() - overlapMs, windowStart);
+
+    return { since: new Date(since).toISOString(), days: state.days };
+  }
+
+  async countDeployments(days = 30, specificRepo = null, options = {}) {
     const repositories = await this.configManager.getRepositories();
     
     if (repositories.length === 0) {
@@ -34,53 +159,78 @@ export class RepoStatsCounter {
     }
 
     for (const repo of reposToProcess) {
-      console.log(chalk.blue(`📊 Processing: ${repo.owner}/${repo.name}`));
-      
-      try {
-        const provider = this.providers[repo.platform];
-        if (!provider) {
-          console.log(chalk.red(`❌ Unsupported platform: ${repo.platform}`));
-          continue;
-        }
+      await this.countRepositoryDeployments(repo, days, options);
+      await this.afterCollection(repo, days);
+    }
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.fullResync] - Ignore the stored cursor and fetch the whole window
+   * @returns {Promise<number>} Deployments that were new or changed
+   */
+  async countRepositoryDeployments(repo, days = 30, options = {}) {
+    console.log(chalk.blue(`📊 Processing: ${repo.owner}/${repo.name}`));
+    
+    try {
+      const provider = this.getProvider(repo);
+      if (!provider) {
+        console.log(chalk.red(`❌ Unsupported platform: ${repo.platform}`));
+        return 0;
+      }
+
+      const syncStartedAt = new Date().toISOString();
+      const cursor = await this.getSyncCursor(repo, 'deployments', days, options);
+      if (cursor) {
+        console.log(chalk.gray(`   Incremental sync since ${cursor.since}`));
+      }
 
-        const deployments = await provider.getDeployments(repo, days);
-        console.log(chalk.green(`   Found ${deployments.length} deployments`));
-
-        // Store deployments in database
-        let insertedCount = 0;
-        for (const deployment of deployments) {
-          try {
-            await this.dbManager.insertDeployment({
-              repository_id: repo.id,
-              deployment_id: deployment.id,
-              deployment_type: deployment.type,
-              deployment_date: deployment.date,
-              commit_sha: deployment.commit_sha,
-              tag_name: deployment.tag_name,
-              branch: deployment.branch,
-              status: deployment.status,
-              environment: deployment.environment
-            });
-            insertedCount++;
-          } catch (error) {
-            // Deployment might already exist (UNIQUE constraint)
-            if (!error.message.includes('UNIQUE constraint')) {
-              console.log(chalk.yellow(`   Warning: Failed to insert deployment ${deployment.id}`));
-            }
+      // Tags already stored keep their resolved dates; a full resync resolves them again
+      const knownTags = options.fullResync ? [] : await this.dbManager.getStoredTagNames(repo.id);
+      const deployments = await provider.getDeployments(repo, days, { since: cursor?.since, knownTags });
+      console.log(chalk.green(`   Found ${deployments.length} deployments`));
+
+      // Store deployments in database
+      let insertedCount = 0;
+      for (const deployment of deployments) {
+        try {
+          // null: already stored as is (re-fetched by the sync overlap)
+          const id = await this.dbManager.insertDeployment({
+            repository_id: repo.id,
+            deployment_id: deployment.id,
+            deployment_type: deployment.type,
+            deployment_date: deployment.date,
+            commit_sha: deployment.commit_sha,
+            tag_name: deployment.tag_name,
+            branch: deployment.branch,
+            status: deployment.status,
+            environment: deployment.environment,
+            date_source: deployment.date_source
+          });
+          if (id !== null) insertedCount++;
+        } catch (error) {
+          // Deployment might already exist (UNIQUE constraint)
+          if (!error.message.includes('UNIQUE constraint')) {
+            console.log(chalk.yellow(`   Warning: Failed to insert deployment ${deployment.id}`));
           }
         }
+      }
 
-        await this.dbManager.updateRepositoryStats(repo.id, deployments.length);
-        console.log(chalk.gray(`   Stored ${insertedCount} new deployments\n`));
+      await this.dbManager.updateRepositoryStats(repo.id, await this.dbManager.getDeploymentCount(repo.id));
+      await this.dbManager.markSynced(repo.id, 'deployments', Math.max(days, cursor?.days || 0), syncStartedAt);
+      console.log(chalk.gray(`   Stored ${insertedCount} new or changed deployments\n`));
+      return insertedCount;
 
-      } catch (error) {
-        console.log(chalk.red(`   Error processing ${repo.name}: ${error.message}\n`));
-      }
+    } catch (error) {
+      console.log(chalk.red(`   Error processing ${repo.name}: ${error.message}\n`));
+      return 0;
     }
   }
 
-  async displayStats(format = 'table', specificRepo = null) {
-    const stats = await this.dbManager.getDeploymentStats(specificRepo);
+  async displayStats(format = 'table', specificRepo = null, days = 30) {
+    const stats = await this.configManager.filterToTeam(
+      await this.deploymentFrequencyCalculator.calculateFrequency(specificRepo, days)
+    );
     
     if (stats.length === 0) {
       console.log(chalk.yellow('📈 No deployment statistics available.'));
@@ -99,52 +249,34 @@ export class RepoStatsCounter {
       
       case 'table':
       default:
-        this.displayTable(stats);
+        this.displayTable(stats, days);
         break;
     }
   }
 
-  displayTable(stats) {
-    console.log(chalk.blue('📈 Deployment Statistics\n'));
+  displayTable(stats, days = 30) {
+    console.log(chalk.blue(`📈 Deployment Frequency (DORA Metric) - last ${days} days\n`));
 
     const data = [
-      ['Repository', 'Deployments', 'Active Days', 'Avg/Day', 'First Deploy', 'Last Deploy']
+      ['Repository', 'Deployments', 'Per Day', 'Per Week', 'Per Month', 'Weeks w/ Deploy', 'Last Deploy', 'Performance']
     ];
 
     stats.forEach(stat => {
-      const avgPerDay = stat.active_days > 0 ? (stat.deployment_count / stat.active_days).toFixed(1) : '0';
-      const firstDeploy = stat.first_deployment ? new Date(stat.first_deployment).toLocaleDateString() : 'N/A';
       const lastDeploy = stat.last_deployment ? new Date(stat.last_deployment).toLocaleDateString() : 'N/A';
       
       data.push([
         stat.repository_id.replace(/^[^-]+-[^-]+-/, ''), // Remove platform-owner prefix
         stat.deployment_count.toString(),
-        stat.active_days.toString(),
-        avgPerDay,
-        firstDeploy,
-        lastDeploy
+        stat.deployments_per_day.toFixed(2),
+        stat.deployments_per_week.toFixed(1),
+        stat.deployments_per_month.toFixed(1),
+        `${stat.active_weeks}/${stat.weeks_in_window} (${stat.active_weeks_percent.toFixed(0)}%)`,
+        lastDeploy,
+        stat.performance
       ]);
     });
 
-    console.log(table(data, {
-      border: {
-        topBody: '─',
-        topJoin: '┬',
-        topLeft: '┌',
-        topRight: '┐',
-        bottomBody: '─',
-        bottomJoin: '┴',
-        bottomLeft: '└',
-        bottomRight: '┘',
-        bodyLeft: '│',
-        bodyRight: '│',
-        bodyJoin: '│',
-        joinBody: '─',
-        joinLeft: '├',
-        joinRight: '┤',
-        joinJoin: '┼'
-      }
-    }));
+    console.log(table(data, TABLE_CONFIG));
 
     // Summary
     const totalDeployments = stats.reduce((sum, stat) => sum + stat.deployment_count, 0);
@@ -154,24 +286,36 @@ export class RepoStatsCounter {
     console.log(`   Total Repositories: ${chalk.cyan(totalRepos)}`);
     console.log(`   Total Deployments: ${chalk.cyan(totalDeployments)}`);
     console.log(`   Average per Repo: ${chalk.cyan((totalDeployments / totalRepos).toFixed(1))}\n`);
+
+    // DORA Performance Categories
+    console.log(chalk.blue('🎯 DORA Performance Categories:'));
+    console.log(`   ${chalk.green('Elite')}: On-demand (daily or more)`);
+    console.log(`   ${chalk.blue('High')}: Between once per day and once per week`);
+    console.log(`   ${chalk.yellow('Medium')}: Between once per week and once per month`);
+    console.log(`   ${chalk.red('Low')}: Less than once per month\n`);
   }
 
   displayCSV(stats) {
-    console.log('repository,deployments,active_days,avg_per_day,first_deployment,last_deployment');
+    console.log('repository,deployments,active_days,active_weeks,weeks_in_window,active_weeks_percent,deployments_per_day,deployments_per_week,deployments_per_month,performance,first_deployment,last_deployment');
     stats.forEach(stat => {
-      const avgPerDay = stat.active_days > 0 ? (stat.deployment_count / stat.active_days).toFixed(1) : '0';
       console.log([
         stat.repository_id,
         stat.deployment_count,
         stat.active_days,
-        avgPerDay,
+        stat.active_weeks,
+        stat.weeks_in_window,
+        stat.active_weeks_percent,
+        stat.deployments_per_day,
+        stat.deployments_per_week,
+        stat.deployments_per_month,
+        stat.performance,
         stat.first_deployment || '',
         stat.last_deployment || ''
       ].join(','));
     });
   }
 
-  async collectPullRequestData(days = 30, specificRepo = null) {
+  async collectPullRequestData(days = 30, specificRepo = null, options = {}) {
     const repositories = await this.configManager.getRepositories();
     
     if (repositories.length === 0) {
@@ -189,40 +333,58 @@ export class RepoStatsCounter {
     }
 
     for (const repo of reposToProcess) {
-      console.log(chalk.blue(`📋 Collecting PRs from: ${repo.owner}/${repo.name}`));
-      
-      try {
-        const provider = this.providers[repo.platform];
-        if (!provider) {
-          console.log(chalk.red(`❌ Unsupported platform: ${repo.platform}`));
-          continue;
-        }
+      await this.collectRepositoryPullRequests(repo, days, options);
+    }
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.fullResync] - Ignore the stored cursor and fetch the whole window
+   * @returns {Promise<number>} Pull requests that were new or changed
+   */
+  async collectRepositoryPullRequests(repo, days = 30, options = {}) {
+    console.log(chalk.blue(`📋 Collecting PRs from: ${repo.owner}/${repo.name}`));
+    
+    try {
+      const provider = this.getProvider(repo);
+      if (!provider) {
+        console.log(chalk.red(`❌ Unsupported platform: ${repo.platform}`));
+        return 0;
+      }
+
+      const syncStartedAt = new Date().toISOString();
+      const cursor = await this.getSyncCursor(repo, 'pull_requests', days, options);
+      if (cursor) {
+        console.log(chalk.gray(`   Incremental sync since ${cursor.since}`));
+      }
+
+      const pullRequests = await provider.getPullRequests(repo, days, { since: cursor?.since });
+      console.log(chalk.green(`   Found ${pullRequests.length} merged PRs`));
 
-        const pullRequests = await provider.getPullRequests(repo, days);
-        console.log(chalk.green(`   Found ${pullRequests.length} merged PRs`));
-
-        // Store PRs in database
-        let insertedCount = 0;
-        for (const pr of pullRequests) {
-          try {
-            await this.dbManager.insertPullRequest({
-              repository_id: repo.id,
-              ...pr
-            });
-            insertedCount++;
-          } catch (error) {
-            // PR might already exist (UNIQUE constraint)
-            if (!error.message.includes('UNIQUE constraint')) {
-              console.log(chalk.yellow(`   Warning: Failed to insert PR #${pr.pr_number}`));
-            }
+      // Store PRs in database
+      let insertedCount = 0;
+      for (const pr of pullRequests) {
+        try {
+          const id = await this.dbManager.insertPullRequest({
+            repository_id: repo.id,
+            ...pr
+          });
+          if (id !== null) insertedCount++;
+        } catch (error) {
+          // PR might already exist (UNIQUE constraint)
+          if (!error.message.includes('UNIQUE constraint')) {
+            console.log(chalk.yellow(`   Warning: Failed to insert PR #${pr.pr_number}`));
           }
         }
+      }
 
-        console.log(chalk.gray(`   Stored ${insertedCount} new PRs\n`));
+      await this.dbManager.markSynced(repo.id, 'pull_requests', Math.max(days, cursor?.days || 0), syncStartedAt);
+      console.log(chalk.gray(`   Stored ${insertedCount} new or changed PRs\n`));
+      return insertedCount;
 
-      } catch (error) {
-        console.log(chalk.red(`   Error collecting PRs from ${repo.name}: ${error.message}\n`));
-      }
+    } catch (error) {
+      console.log(chalk.red(`   Error collecting PRs from ${repo.name}: ${error.message}\n`));
+      return 0;
     }
   }
 
@@ -233,7 +395,8 @@ export class RepoStatsCounter {
       : repositories;
 
     for (const repo of reposToProcess) {
-      await this.leadTimeCalculator.calculateLeadTime(repo.id, days);
+      await this.leadTimeCalculator.calculateLeadTime(repo.id, days, this.getLeadTimeOptions(repo));
+      await this.afterCollection(repo, days);
     }
 
     await this.displayLeadTimeStats(days, specificRepo, format, showInsights);
@@ -252,7 +415,7 @@ export class RepoStatsCounter {
       }
     }
 
-    const stats = await this.dbManager.getLeadTimeStats(repositoryFilter, days);
+    const stats = await this.configManager.filterToTeam(await this.dbManager.getLeadTimeStats(repositoryFilter, days));
     
     if (stats.length === 0) {
       console.log(chalk.yellow('📈 No lead time statistics available.'));
@@ -260,9 +423,16 @@ export class RepoStatsCounter {
       return;
     }
 
+    const stageStats = await this.configManager.filterToTeam(await this.dbManager.getLeadTimeStageStats(repositoryFilter, days));
+
     switch (format) {
       case 'json':
-        console.log(JSON.stringify(stats, null, 2));
+        console.log(JSON.stringify(stats.map(stat => ({
+          ...stat,
+          stages: stageStats
+            .filter(stage => stage.repository_id === stat.repository_id)
+            .map(({ repository_id, ...stage }) => stage)
+        })), null, 2));
         break;
       
       case 'csv':
@@ -271,16 +441,16 @@ export class RepoStatsCounter {
       
       case 'table':
       default:
-        await this.displayLeadTimeTable(stats, days, showInsights);
+        await this.displayLeadTimeTable(stats, days, showInsights, stageStats);
         break;
     }
   }
 
-  async displayLeadTimeTable(stats, days, showInsights = false) {
+  async displayLeadTimeTable(stats, days, showInsights = false, stageStats = []) {
     console.log(chalk.blue('⏱️  Lead Time for Changes (DORA Metric)\n'));
 
     const data = [
-      ['Repository', 'PRs', 'Avg Lead Time', 'P50', 'P75', 'P90', 'P95', '<1 Day', '<1 Week', 'Performance']
+      ['Repository', 'PRs', 'Avg Lead Time', 'P50', 'P75', 'P90', 'P95', '<1 Day', '<1 Week', 'Matched', 'Performance']
     ];
 
     for (const stat of stats) {
@@ -296,6 +466,8 @@ export class RepoStatsCounter {
 
       const under24hPercent = ((stat.under_24h_count / stat.pr_count) * 100).toFixed(0);
       const under1wPercent = ((stat.under_1week_count / stat.pr_count) * 100).toFixed(0);
+      // PRs whose deployment is known to contain them (exact commit or ancestry)
+      const matchedPercent = (((stat.exact_match_count + stat.ancestry_match_count) / stat.pr_count) * 100).toFixed(0);
 
       data.push([
         repoName,
@@ -307,29 +479,12 @@ export class RepoStatsCounter {
         formatTime(percentiles.p95),
         `${under24hPercent}%`,
         `${under1wPercent}%`,
+        `${matchedPercent}%`,
         category.category
       ]);
     }
 
-    console.log(table(data, {
-      border: {
-        topBody: '─',
-        topJoin: '┬',
-        topLeft: '┌',
-        topRight: '┐',
-        bottomBody: '─',
-        bottomJoin: '┴',
-        bottomLeft: '└',
-        bottomRight: '┘',
-        bodyLeft: '│',
-        bodyRight: '│',
-        bodyJoin: '│',
-        joinBody: '─',
-        joinLeft: '├',
-        joinRight: '┤',
-        joinJoin: '┼'
-      }
-    }));
+    console.log(table(data, TABLE_CONFIG));
 
     // DORA Performance Categories
     console.log(chalk.blue('🎯 DORA Performance Categories:'));
@@ -337,6 +492,13 @@ export class RepoStatsCounter {
     console.log(`   ${chalk.blue('High')}: 1-7 days`);
     console.log(`   ${chalk.yellow('Medium')}: 1-4 weeks`);
     console.log(`   ${chalk.red('Low')}: More than 1 month\n`);
+    console.log(chalk.gray('Matched: PRs whose deployment contains the merge commit; the rest are matched by time or not deployed yet.\n'));
+
+    // Promotion breakdown, only meaningful when a repository declares more than one environment
+    const promotedRepos = new Set(stageStats.filter(stage => stage.stage_order > 0).map(stage => stage.repository_id));
+    if (promotedRepos.size > 0) {
+      this.displayLeadTimeStagesTable(stageStats.filter(stage => promotedRepos.has(stage.repository_id)));
+    }
 
     // Show insights if requested
     if (showInsights && stats.length > 0) {
@@ -361,8 +523,35 @@ export class RepoStatsCounter {
     }
   }
 
+  displayLeadTimeStagesTable(stageStats) {
+    console.log(chalk.blue('🚦 Time to Environment\n'));
+
+    const formatTime = (hours) => {
+      if (hours === null || hours === undefined) return 'N/A';
+      const days = Math.round(hours / 24 * 10) / 10;
+      return days < 1 ? `${Math.round(hours)}h` : `${days}d`;
+    };
+
+    const data = [
+      ['Repository', 'Stage', 'Environment', 'PRs Deployed', 'Merge → Env', 'First Commit → Env']
+    ];
+
+    for (const stage of stageStats) {
+      data.push([
+        stage.repository_id.replace(/^[^-]+-[^-]+-/, ''),
+        (stage.stage_order + 1).toString(),
+        stage.environment,
+        stage.deployed_pr_count.toString(),
+        formatTime(stage.avg_hours_from_merge),
+        formatTime(stage.avg_hours_from_first_commit)
+      ]);
+    }
+
+    console.log(table(data, TABLE_CONFIG));
+  }
+
   displayLeadTimeCSV(stats) {
-    console.log('repository,pr_count,avg_lead_time_hours,avg_lead_time_days,min_lead_time_hours,max_lead_time_hours,avg_commit_to_merge_hours,avg_merge_to_deploy_hours,under_24h_percent,under_1week_percent');
+    console.log('repository,pr_count,avg_lead_time_hours,avg_lead_time_days,min_lead_time_hours,max_lead_time_hours,avg_commit_to_merge_hours,avg_merge_to_deploy_hours,under_24h_percent,under_1week_percent,exact_match_count,ancestry_match_count,time_fallback_count,unmatched_count');
     stats.forEach(stat => {
       const under24hPercent = ((stat.under_24h_count / stat.pr_count) * 100).toFixed(1);
       const under1wPercent = ((stat.under_1week_count / stat.pr_count) * 100).toFixed(1);
@@ -377,7 +566,716 @@ export class RepoStatsCounter {
         stat.avg_commit_to_merge_hours || 0,
         stat.avg_merge_to_deploy_hours || 0,
         under24hPercent,
-        under1wPercent
+        under1wPercent,
+        stat.exact_match_count,
+        stat.ancestry_match_count,
+        stat.time_fallback_count,
+        stat.unmatched_count
+      ].join(','));
+    });
+  }
+
+  async displayChangeFailureRate(days = 30, specificRepo = null, format = 'table') {
+    const repositories = await this.configManager.getRepositories();
+    const settings = await this.configManager.getSettings();
+    const reposToProcess = specificRepo 
+      ? repositories.filter(repo => repo.id.includes(specificRepo) || repo.name.includes(specificRepo))
+      : repositories;
+
+    const stats = [];
+    for (const repo of reposToProcess) {
+      const changeFailureSettings = { ...settings.changeFailure, ...repo.changeFailure };
+      const stat = await this.changeFailureRateCalculator.calculateChangeFailureRate(repo.id, days, changeFailureSettings);
+      if (stat.total_deployments > 0) {
+        stats.push(stat);
+      }
+    }
+
+    if (stats.length === 0) {
+      console.log(chalk.yellow('📈 No change failure statistics available.'));
+      console.log(chalk.gray('Run with --action=count and --action=pull-requests first to collect deployments and PRs.'));
+      return;
+    }
+
+    switch (format) {
+      case 'json':
+        console.log(JSON.stringify(stats, null, 2));
+        break;
+      
+      case 'csv':
+        this.displayChangeFailureRateCSV(stats);
+        break;
+      
+      case 'table':
+      default:
+        this.displayChangeFailureRateTable(stats, days);
+        break;
+    }
+  }
+
+  displayChangeFailureRateTable(stats, days) {
+    console.log(chalk.blue(`💥 Change Failure Rate (DORA Metric) - last ${days} days\n`));
+
+    const data = [
+      ['Repository', 'Deployments', 'Failed', 'Failed Runs', 'Reverts', 'Hotfixes', 'Failure Rate', 'Performance']
+    ];
+
+    stats.forEach(stat => {
+      data.push([
+        stat.repository_id.replace(/^[^-]+-[^-]+-/, ''),
+        stat.total_deployments.toString(),
+        stat.failed_deployments.toString(),
+        stat.failed_status_count.toString(),
+        stat.revert_count.toString(),
+        stat.hotfix_count.toString(),
+        `${stat.change_failure_rate.toFixed(1)}%`,
+        stat.performance
+      ]);
+    });
+
+    console.log(table(data, TABLE_CONFIG));
+
+    // DORA Performance Categories
+    console.log(chalk.blue('🎯 DORA Performance Categories:'));
+    console.log(`   ${chalk.green('Elite')}: 0-15%`);
+    console.log(`   ${chalk.blue('High')}: 16-30%`);
+    console.log(`   ${chalk.yellow('Medium')}: 31-45%`);
+    console.log(`   ${chalk.red('Low')}: More than 45%\n`);
+  }
+
+  displayChangeFailureRateCSV(stats) {
+    console.log('repository,total_deployments,failed_deployments,failed_runs,reverts,hotfixes,change_failure_rate_percent,performance');
+    stats.forEach(stat => {
+      console.log([
+        stat.repository_id,
+        stat.total_deployments,
+        stat.failed_deployments,
+        stat.failed_status_count,
+        stat.revert_count,
+        stat.hotfix_count,
+        stat.change_failure_rate,
+        stat.performance
+      ].join(','));
+    });
+  }
+
+  async collectIncidentData(days = 30, specificRepo = null, options = {}) {
+    const repositories = await this.configManager.getRepositories();
+    const settings = await this.configManager.getSettings();
+    
+    if (repositories.length === 0) {
+      console.log(chalk.yellow('⚠️  No repositories configured.'));
+      return;
+    }
+
+    const reposToProcess = specificRepo 
+      ? repositories.filter(repo => repo.id.includes(specificRepo) || repo.name.includes(specificRepo))
+      : repositories;
+
+    if (reposToProcess.length === 0) {
+      console.log(chalk.yellow(`⚠️  No repositories found matching: ${specificRepo}`));
+      return;
+    }
+
+    for (const repo of reposToProcess) {
+      await this.collectRepositoryIncidents(repo, days, settings, options);
+    }
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.fullResync] - Ignore the stored cursor and fetch the whole window
+   */
+  async collectRepositoryIncidents(repo, days = 30, settings = {}, options = {}) {
+    console.log(chalk.blue(`🚨 Collecting incidents from: ${repo.owner}/${repo.name}`));
+    
+    try {
+      const provider = this.getProvider(repo);
+      if (!provider) {
+        console.log(chalk.red(`❌ Unsupported platform for incidents: ${repo.platform}`));
+        return;
+      }
+      if (!provider.getIncidents) {
+        // Nothing to collect (e.g. Bitbucket has no issue labels); record the sync so stale-data
+        // runs do not retry it every time
+        console.log(chalk.gray(`   Incidents are not available for ${repo.platform} repositories; skipped\n`));
+        await this.dbManager.markSynced(repo.id, 'incidents', days, new Date().toISOString());
+        return;
+      }
+
+      const incidentSettings = { ...DEFAULT_INCIDENT_SETTINGS, ...settings.incidents, ...repo.incidents };
+      const syncStartedAt = new Date().toISOString();
+      const cursor = await this.getSyncCursor(repo, 'incidents', days, options);
+      if (cursor) {
+        console.log(chalk.gray(`   Incremental sync since ${cursor.since}`));
+      }
+
+      const incidents = await provider.getIncidents(repo, days, incidentSettings.label, { since: cursor?.since });
+      console.log(chalk.green(`   Found ${incidents.length} incidents labelled "${incidentSettings.label}"`));
+
+      let storedCount = 0;
+      for (const incident of incidents) {
+        try {
+          await this.dbManager.insertIncident({
+            repository_id: repo.id,
+            ...incident
+          });
+          storedCount++;
+        } catch (error) {
+          console.log(chalk.yellow(`   Warning: Failed to store incident #${incident.issue_number}`));
+        }
+      }
+
+      await this.dbManager.markSynced(repo.id, 'incidents', Math.max(days, cursor?.days || 0), syncStartedAt);
+      console.log(chalk.gray(`   Stored ${storedCount} incidents\n`));
+
+    } catch (error) {
+      console.log(chalk.red(`   Error collecting incidents from ${repo.name}: ${error.message}\n`));
+    }
+  }
+
+  async displayTimeToRestore(days = 30, specificRepo = null, format = 'table') {
+    const repositories = await this.configManager.getRepositories();
+    const reposToProcess = specificRepo 
+      ? repositories.filter(repo => repo.id.includes(specificRepo) || repo.name.includes(specificRepo))
+      : repositories;
+
+    const stats = [];
+    for (const repo of reposToProcess) {
+      const stat = await this.timeToRestoreCalculator.calculateTimeToRestore(repo.id, days);
+      if (stat.incident_count > 0) {
+        stats.push(stat);
+      }
+    }
+
+    if (stats.length === 0) {
+      console.log(chalk.yellow('📈 No incident statistics available.'));
+      console.log(chalk.gray('Label incident issues (default: "incident") and run with --action=time-to-restore.'));
+      return;
+    }
+
+    switch (format) {
+      case 'json':
+        console.log(JSON.stringify(stats, null, 2));
+        break;
+      
+      case 'csv':
+        this.displayTimeToRestoreCSV(stats);
+        break;
+      
+      case 'table':
+      default:
+        this.displayTimeToRestoreTable(stats, days);
+        break;
+    }
+  }
+
+  displayTimeToRestoreTable(stats, days) {
+    console.log(chalk.blue(`🚑 Time to Restore Service (DORA Metric) - last ${days} days\n`));
+
+    const data = [
+      ['Repository', 'Incidents', 'Resolved', 'Open', 'Linked to Deploy', 'Mean', 'Median', 'Max', 'Performance']
+    ];
+
+    const formatTime = (hours) => {
+      if (hours === null || hours === undefined) return 'N/A';
+      if (hours < 1) return `${Math.round(hours * 60)}m`;
+      const days = Math.round(hours / 24 * 10) / 10;
+      return days < 1 ? `${Math.round(hours)}h` : `${days}d`;
+    };
+
+    stats.forEach(stat => {
+      data.push([
+        stat.repository_id.replace(/^[^-]+-[^-]+-/, ''),
+        stat.incident_count.toString(),
+        stat.resolved_count.toString(),
+        stat.open_count.toString(),
+        stat.linked_count.toString(),
+        formatTime(stat.mean_restore_hours),
+        formatTime(stat.median_restore_hours),
+        formatTime(stat.max_restore_hours),
+        stat.performance
+      ]);
+    });
+
+    console.log(table(data, TABLE_CONFIG));
+
+    // DORA Performance Categories
+    console.log(chalk.blue('🎯 DORA Performance Categories (median):'));
+    console.log(`   ${chalk.green('Elite')}: Less than 1 hour`);
+    console.log(`   ${chalk.blue('High')}: Less than 1 day`);
+    console.log(`   ${chalk.yellow('Medium')}: 1 day to 1 week`);
+    console.log(`   ${chalk.red('Low')}: More than 1 week\n`);
+  }
+
+  displayTimeToRestoreCSV(stats) {
+    console.log('repository,incident_count,resolved_count,open_count,linked_count,mean_restore_hours,median_restore_hours,max_restore_hours,performance');
+    stats.forEach(stat => {
+      console.log([
+        stat.repository_id,
+        stat.incident_count,
+        stat.resolved_count,
+        stat.open_count,
+        stat.linked_count,
+        stat.mean_restore_hours ?? '',
+        stat.median_restore_hours ?? '',
+        stat.max_restore_hours ?? '',
+        stat.performance
+      ].join(','));
+    });
+  }
+
+  /**
+   * Re-collect deployments, PRs and incidents that are older than settings.updateInterval
+   * or were collected for a shorter window than requested
+   */
+  async collectStaleData(days = 30, specificRepo = null, options = {}) {
+    const repositories = await this.configManager.getRepositories();
+    const settings = await this.configManager.getSettings();
+    const maxAgeMs = (settings.updateInterval || 3600) * 1000;
+    const reposToProcess = specificRepo 
+      ? repositories.filter(repo => repo.id.includes(specificRepo) || repo.name.includes(specificRepo))
+      : repositories;
+
+    const isStale = async (repo, dataType) => {
+      if (options.fullResync) return true;
+      const state = await this.dbManager.getSyncState(repo.id, dataType);
+      if (!state) return true;
+      if ((state.days || 0) < days) return true;
+      return Date.now() - new Date(state.last_synced_at).getTime() > maxAgeMs;
+    };
+
+    for (const repo of reposToProcess) {
+      let refreshed = false;
+
+      if (await isStale(repo, 'deployments')) {
+        await this.countRepositoryDeployments(repo, days, options);
+        refreshed = true;
+      }
+
+      if (await isStale(repo, 'pull_requests')) {
+        await this.collectRepositoryPullRequests(repo, days, options);
+        refreshed = true;
+      }
+
+      if (await isStale(repo, 'incidents')) {
+        await this.collectRepositoryIncidents(repo, days, settings, options);
+      }
+
+      // Lead time depends on both PRs and deployments
+      if (refreshed) {
+        await this.leadTimeCalculator.calculateLeadTime(repo.id, days, this.getLeadTimeOptions(repo));
+        await this.afterCollection(repo, days);
+      } else {
+        console.log(chalk.gray(`✔ ${repo.owner}/${repo.name} is up to date`));
+      }
+    }
+  }
+
+  async displayDoraScorecard(days = 30, specificRepo = null, format = 'table') {
+    const repositories = await this.configManager.getRepositories();
+    const settings = await this.configManager.getSettings();
+    const reposToProcess = specificRepo 
+      ? repositories.filter(repo => repo.id.includes(specificRepo) || repo.name.includes(specificRepo))
+      : repositories;
+
+    if (reposToProcess.length === 0) {
+      console.log(chalk.yellow('⚠️  No repositories configured.'));
+      return;
+    }
+
+    const scorecards = [];
+    for (const repo of reposToProcess) {
+      scorecards.push(await this.doraScorecard.buildRepositoryScorecard(repo, days, settings));
+    }
+    const organization = await this.doraScorecard.buildOrganizationScorecard(scorecards, days);
+
+    switch (format) {
+      case 'json':
+        console.log(JSON.stringify({ repositories: scorecards, organization }, null, 2));
+        break;
+      
+      case 'csv':
+        this.displayDoraScorecardCSV([...scorecards, organization]);
+        break;
+      
+      case 'table':
+      default:
+        console.log(chalk.blue(`🏆 DORA Scorecard - last ${days} days\n`));
+        scorecards.forEach(scorecard => this.displayDoraScorecardTable(scorecard));
+        this.displayDoraScorecardTable(organization);
+        break;
+    }
+  }
+
+  /**
+   * Write the standalone HTML report (scorecards, timelines, lead time charts, insights)
+   */
+  async writeHtmlReport(days = 30, specificRepo = null, outputPath) {
+    const repositories = await this.configManager.getRepositories();
+    const settings = await this.configManager.getSettings();
+    const reposToProcess = specificRepo
+      ? repositories.filter(repo => repo.id.includes(specificRepo) || repo.name.includes(specificRepo))
+      : repositories;
+
+    if (reposToProcess.length === 0) {
+      console.log(chalk.yellow('⚠️  No repositories configured.'));
+      return null;
+    }
+
+    const entries = [];
+    for (const repo of reposToProcess) {
+      const percentileData = await this.dbManager.getLeadTimePercentiles(repo.id, days);
+      entries.push({
+        repo,
+        scorecard: await this.doraScorecard.buildRepositoryScorecard(repo, days, settings),
+        deployments: await this.dbManager.getDeployments(repo.id, days),
+        leadTimes: percentileData.map(row => row.total_lead_time_hours),
+        trend: await this.leadTimeCalculator.getLeadTimePercentileTrend(repo.id, days),
+        insights: await this.leadTimeCalculator.generateInsights(repo.id, days)
+      });
+    }
+    const organization = await this.doraScorecard.buildOrganizationScorecard(entries.map(entry => entry.scorecard), days);
+
+    const html = new HtmlReport().render({
+      days,
+      generatedAt: new Date().toISOString(),
+      organization,
+      repositories: entries
+    });
+
+    await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+    await fs.writeFile(outputPath, html);
+    console.log(chalk.green(`📄 Report written to ${outputPath}`));
+    return outputPath;
+  }
+
+  /**
+   * Weekly or monthly trend from the daily rollups, which are refreshed for the `days` window
+   * first; older periods come from rollups stored by earlier runs
+   */
+  async displayTrend(days = 30, specificRepo = null, format = 'table', options = {}) {
+    const repositories = await this.configManager.getRepositories();
+    const { period = 'week', periods = 12 } = options;
+    const reposToProcess = specificRepo
+      ? repositories.filter(repo => repo.id.includes(specificRepo) || repo.name.includes(specificRepo))
+      : repositories;
+
+    if (reposToProcess.length === 0) {
+      console.log(chalk.yellow('⚠️  No repositories configured.'));
+      return;
+    }
+
+    const trends = [];
+    for (const repo of reposToProcess) {
+      await this.trendCalculator.updateDailyStats(repo.id, days);
+      trends.push({ scope: repo.id, trend: await this.trendCalculator.getTrend([repo.id], { period, periods }) });
+    }
+    // Pooled over the daily rollups, not averaged over repositories
+    if (reposToProcess.length > 1) {
+      trends.push({
+        scope: 'organization',
+        trend: await this.trendCalculator.getTrend(reposToProcess.map(repo => repo.id), { period, periods })
+      });
+    }
+
+    if (trends.every(({ trend }) => trend.length === 0)) {
+      console.log(chalk.yellow('📈 No trend data available.'));
+      console.log(chalk.gray('Run the counter and lead time calculation first to collect data.'));
+      return;
+    }
+
+    switch (format) {
+      case 'json':
+        console.log(JSON.stringify({ period, repositories: trends }, null, 2));
+        break;
+
+      case 'csv':
+        this.displayTrendCSV(trends);
+        break;
+
+      case 'table':
+      default:
+        console.log(chalk.blue(`📉 ${period === 'month' ? 'Monthly' : 'Weekly'} trend - last ${periods} ${period}s\n`));
+        trends.forEach(({ scope, trend }) => this.displayTrendTable(scope, trend, period, reposToProcess.length));
+        console.log(chalk.gray(`   * ${period} in progress; changes are against the previous ${period}\n`));
+        break;
+    }
+  }
+
+  displayTrendTable(scope, trend, period, repoCount) {
+    const title = scope === 'organization'
+      ? `${this.getPoolTitle()} (${repoCount} repositories)`
+      : scope.replace(/^[^-]+-[^-]+-/, '');
+
+    // Fewer deployments and longer lead times are the regressions
+    const formatChange = (change, higherIsBetter) => {
+      if (change === null) return '';
+      const text = `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+      if (change === 0) return text;
+      return (change > 0) === higherIsBetter ? chalk.green(text) : chalk.red(text);
+    };
+
+    const data = [
+      ['Period', 'Deployments', 'Change', 'Failed', 'PRs', 'Avg Lead Time (h)', 'Change']
+    ];
+
+    trend.forEach(bucket => {
+      const label = period === 'month' ? bucket.period_start.slice(0, 7) : bucket.period_start;
+      data.push([
+        bucket.partial ? `${label} *` : label,
+        bucket.deployments.toString(),
+        formatChange(bucket.deployments_change_percent, true),
+        bucket.failed_deployments.toString(),
+        bucket.pr_count.toString(),
+        bucket.avg_lead_time_hours === null ? 'N/A' : bucket.avg_lead_time_hours.toFixed(1),
+        formatChange(bucket.avg_lead_time_change_percent, false)
+      ]);
+    });
+
+    console.log(chalk.cyan(title));
+    if (trend.length === 0) {
+      console.log(chalk.gray('   No rollups stored yet\n'));
+      return;
+    }
+    console.log(table(data, TABLE_CONFIG));
+  }
+
+  displayTrendCSV(trends) {
+    console.log('scope,period_start,period_end,partial,deployments,deployments_change_percent,failed_deployments,pr_count,avg_lead_time_hours,avg_lead_time_change_percent');
+    trends.forEach(({ scope, trend }) => {
+      trend.forEach(bucket => {
+        console.log([
+          scope,
+          bucket.period_start,
+          bucket.period_end,
+          bucket.partial,
+          bucket.deployments,
+          bucket.deployments_change_percent ?? '',
+          bucket.failed_deployments,
+          bucket.pr_count,
+          bucket.avg_lead_time_hours ?? '',
+          bucket.avg_lead_time_change_percent ?? ''
+        ].join(','));
+      });
+    });
+  }
+
+  /**
+   * Name of the card that pools every selected repository: the team under --team
+   */
+  getPoolTitle() {
+    return this.configManager.team ? `Team ${this.configManager.team}` : 'Organization';
+  }
+
+  /**
+   * Pooled deployments and lead time per configured team (or only `teamName`)
+   */
+  async displayTeams(days = 30, teamName = null, format = 'table') {
+    const teams = teamName ? [await this.configManager.getTeam(teamName)] : await this.configManager.getTeams();
+
+    if (teams.length === 0) {
+      console.log(chalk.yellow('⚠️  No teams configured.'));
+      console.log(chalk.gray('Add a "teams" list to config.json (see README).'));
+      return;
+    }
+
+    const rollups = [];
+    for (const team of teams) {
+      const repositories = await this.configManager.getTeamRepositories(team.name);
+      rollups.push(await this.teamRollupCalculator.calculateTeamRollup(team.name, repositories, days));
+    }
+
+    switch (format) {
+      case 'json':
+        console.log(JSON.stringify(rollups, null, 2));
+        break;
+
+      case 'csv':
+        this.displayTeamsCSV(rollups);
+        break;
+
+      case 'table':
+      default:
+        this.displayTeamsTable(rollups, days);
+        break;
+    }
+  }
+
+  displayTeamsTable(rollups, days) {
+    console.log(chalk.blue(`👥 Team Rollups - last ${days} days\n`));
+
+    const formatHours = hours => (hours === null ? 'N/A' : hours.toFixed(1));
+    const data = [
+      ['Team', 'Repos', 'Deployments', 'Per Week', 'PRs', 'Avg Lead Time (h)', 'P50', 'P90', 'P95', 'Performance']
+    ];
+
+    rollups.forEach(rollup => {
+      data.push([
+        rollup.team,
+        rollup.repository_count.toString(),
+        rollup.deployments.toString(),
+        rollup.deployments_per_week.toFixed(1),
+        rollup.pr_count.toString(),
+        formatHours(rollup.avg_lead_time_hours),
+        formatHours(rollup.p50),
+        formatHours(rollup.p90),
+        formatHours(rollup.p95),
+        rollup.lead_time_tier
+      ]);
+    });
+
+    console.log(table(data, TABLE_CONFIG));
+    console.log(chalk.gray('   Lead time statistics are over the pooled PRs of each team\'s repositories\n'));
+  }
+
+  displayTeamsCSV(rollups) {
+    console.log('team,repository_count,repositories,deployments,deployments_per_week,pr_count,avg_lead_time_hours,p50,p75,p90,p95,lead_time_tier');
+    rollups.forEach(rollup => {
+      console.log([
+        rollup.team,
+        rollup.repository_count,
+        rollup.repositories.join(';'),
+        rollup.deployments,
+        rollup.deployments_per_week,
+        rollup.pr_count,
+        rollup.avg_lead_time_hours ?? '',
+        rollup.p50 ?? '',
+        rollup.p75 ?? '',
+        rollup.p90 ?? '',
+        rollup.p95 ?? '',
+        rollup.lead_time_tier
+      ].join(','));
+    });
+  }
+
+  /**
+   * Per-author flow metrics over the selected repositories (--repo, --team)
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.anonymize] - Show hashed ids instead of names
+   * @param {string} [options.salt] - Salt for the hashed ids
+   */
+  async displayAuthorStats(days = 30, specificRepo = null, format = 'table', options = {}) {
+    const repositories = await this.configManager.getRepositories();
+    const reposToProcess = specificRepo
+      ? repositories.filter(repo => repo.id.includes(specificRepo) || repo.name.includes(specificRepo))
+      : repositories;
+
+    const stats = await this.authorStatsCalculator.calculateAuthorStats(reposToProcess, days, options);
+
+    if (stats.length === 0) {
+      console.log(chalk.yellow('📈 No author statistics available.'));
+      console.log(chalk.gray('Run with --action=pull-requests first to collect PR data.'));
+      return;
+    }
+
+    switch (format) {
+      case 'json':
+        console.log(JSON.stringify(stats, null, 2));
+        break;
+
+      case 'csv':
+        this.displayAuthorStatsCSV(stats);
+        break;
+
+      case 'table':
+      default:
+        this.displayAuthorStatsTable(stats, days);
+        break;
+    }
+  }
+
+  displayAuthorStatsTable(stats, days) {
+    console.log(chalk.blue(`🧑‍💻 Author Flow Metrics - last ${days} days\n`));
+
+    const formatHours = hours => (hours === null ? 'N/A' : hours.toFixed(1));
+    const data = [
+      ['Author', 'Repos', 'PRs', 'Median Lead Time (h)', 'Median Review Wait (h)', 'Median Size (lines)', 'Median Deploy Latency (h)']
+    ];
+
+    stats.forEach(stat => {
+      data.push([
+        stat.author,
+        stat.repository_count.toString(),
+        stat.pr_count.toString(),
+        formatHours(stat.median_lead_time_hours),
+        stat.median_review_wait_hours === null
+          ? 'N/A'
+          : `${formatHours(stat.median_review_wait_hours)} (${stat.reviewed_pr_count} PRs)`,
+        stat.median_pr_size_lines === null ? 'N/A' : Math.round(stat.median_pr_size_lines).toString(),
+        formatHours(stat.median_deploy_latency_hours)
+      ]);
+    });
+
+    console.log(table(data, TABLE_CONFIG));
+    console.log(chalk.gray('   Sorted by author. Review wait is from PR creation to the first review (GitHub only).\n'));
+  }
+
+  displayAuthorStatsCSV(stats) {
+    console.log('author,repository_count,pr_count,median_lead_time_hours,reviewed_pr_count,median_review_wait_hours,median_pr_size_lines,median_deploy_latency_hours');
+    stats.forEach(stat => {
+      console.log([
+        /[",\n]/.test(stat.author) ? `"${stat.author.replace(/"/g, '""')}"` : stat.author,
+        stat.repository_count,
+        stat.pr_count,
+        stat.median_lead_time_hours ?? '',
+        stat.reviewed_pr_count,
+        stat.median_review_wait_hours ?? '',
+        stat.median_pr_size_lines ?? '',
+        stat.median_deploy_latency_hours ?? ''
+      ].join(','));
+    });
+  }
+
+  displayDoraScorecardTable(scorecard) {
+    const title = scorecard.scope === 'organization'
+      ? `${this.getPoolTitle()} (${scorecard.repository_count} repositories)`
+      : scorecard.scope.replace(/^[^-]+-[^-]+-/, '');
+
+    const formatTime = (hours) => {
+      if (hours === null || hours === undefined) return 'N/A';
+      if (hours < 1) return `${Math.round(hours * 60)}m`;
+      const days = Math.round(hours / 24 * 10) / 10;
+      return days < 1 ? `${Math.round(hours)}h` : `${days}d`;
+    };
+
+    const { deployment_frequency: df, lead_time: lt, change_failure_rate: cfr, time_to_restore: ttr } = scorecard;
+    const frequencyLabel = scorecard.scope === 'organization' ? '/week per repo' : '/week';
+
+    const data = [
+      ['Metric', 'Value', 'Based On', 'Tier'],
+      ['Deployment Frequency', `${df.deployments_per_week.toFixed(1)}${frequencyLabel}`, `${df.deployments} deployments`, df.tier],
+      ['Lead Time for Changes', formatTime(lt.avg_lead_time_hours), `${lt.pr_count} PRs`, lt.tier],
+      ['Change Failure Rate', cfr.change_failure_rate === null ? 'N/A' : `${cfr.change_failure_rate.toFixed(1)}%`, `${cfr.failed_deployments}/${cfr.total_deployments} deployments`, cfr.tier],
+      ['Time to Restore', formatTime(ttr.median_restore_hours), `${ttr.incident_count} incidents`, ttr.tier],
+      ['Overall', '', '', scorecard.overall]
+    ];
+
+    console.log(chalk.cyan(title));
+    console.log(table(data, TABLE_CONFIG));
+  }
+
+  displayDoraScorecardCSV(scorecards) {
+    console.log('scope,deployments,deployments_per_week,deployment_frequency_tier,pr_count,avg_lead_time_hours,lead_time_tier,total_deployments,failed_deployments,change_failure_rate_percent,change_failure_rate_tier,incident_count,median_restore_hours,time_to_restore_tier,overall');
+    scorecards.forEach(scorecard => {
+      const { deployment_frequency: df, lead_time: lt, change_failure_rate: cfr, time_to_restore: ttr } = scorecard;
+      console.log([
+        scorecard.scope,
+        df.deployments,
+        df.deployments_per_week,
+        df.tier,
+        lt.pr_count,
+        lt.avg_lead_time_hours ?? '',
+        lt.tier,
+        cfr.total_deployments,
+        cfr.failed_deployments,
+        cfr.change_failure_rate ?? '',
+        cfr.tier,
+        ttr.incident_count,
+        ttr.median_restore_hours ?? '',
+        ttr.tier,
+        scorecard.overall
       ].join(','));
     });
   }
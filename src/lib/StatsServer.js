@@ -0,0 +1,289 @@
+import http from 'http';
+import chalk from 'chalk';
+import { LeadTimeCalculator } from './LeadTimeCalculator.js';
+import { DeploymentFrequencyCalculator } from './DeploymentFrequencyCalculator.js';
+import { PrometheusExporter, PROMETHEUS_CONTENT_TYPE } from './PrometheusExporter.js';
+import { TeamRollupCalculator } from './TeamRollupCalculator.js';
+
+export const DEFAULT_PORT = 3000;
+export const DEFAULT_HOST = '127.0.0.1';
+
+// Repository fields that are safe to publish (no token variable names or local paths)
+const PUBLIC_REPOSITORY_FIELDS = ['id', 'platform', 'owner', 'name', 'url', 'branch', 'deploymentMethod', 'environments'];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class StatsServer {
+  /**
+   * Read-only JSON API over the collected data, for dashboards (e.g. Grafana's JSON/Infinity
+   * datasources) that cannot run the CLI. Every endpoint accepts the CLI filters as query
+   * parameters: `repo`, `days` and `format` (json or csv).
+   *
+   * @param {ConfigManager} configManager
+   * @param {Storage} dbManager
+   * @param {object} [options]
+   * @param {number} [options.defaultDays] - Window used when a request has no `days`
+   */
+  constructor(configManager, dbManager, options = {}) {
+    this.configManager = configManager;
+    this.dbManager = dbManager;
+    this.defaultDays = options.defaultDays || 30;
+    this.leadTimeCalculator = new LeadTimeCalculator(dbManager);
+    this.deploymentFrequencyCalculator = new DeploymentFrequencyCalculator(dbManager);
+    this.prometheusExporter = new PrometheusExporter(dbManager);
+    this.teamRollupCalculator = new TeamRollupCalculator(dbManager);
+    this.server = null;
+
+    this.routes = {
+      '/api/repositories': query => this.getRepositories(query),
+      '/api/deployments': query => this.getDeployments(query),
+      '/api/deployments/stats': query => this.getDeploymentStats(query),
+      '/api/pull-requests': query => this.getPullRequests(query),
+      '/api/lead-time': query => this.getLeadTimeStats(query),
+      '/api/lead-time/percentiles': query => this.getLeadTimePercentiles(query),
+      '/api/teams': query => this.getTeamRollups(query)
+    };
+  }
+
+  /**
+   * Start listening; resolves once the port is bound
+   */
+  async listen(port = DEFAULT_PORT, host = DEFAULT_HOST) {
+    this.server = http.createServer((request, response) => this.handle(request, response));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    const { port: boundPort } = this.server.address();
+    console.log(chalk.green(`🌐 Serving stats on http://${host}:${boundPort}`));
+    Object.keys(this.routes).forEach(route => console.log(chalk.gray(`   GET ${route}`)));
+    console.log(chalk.gray('   GET /metrics (Prometheus)'));
+    return this.server;
+  }
+
+  async close() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+  }
+
+  async handle(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+    try {
+      if (request.method !== 'GET') {
+        throw new HttpError(405, `Method ${request.method} not allowed`);
+      }
+
+      // Index doubles as the health check JSON datasources call when a connection is saved
+      if (pathname === '/' || pathname === '/api') {
+        return this.send(response, 200, { status: 'ok', endpoints: [...Object.keys(this.routes), '/metrics'] }, 'json');
+      }
+
+      if (pathname === '/metrics') {
+        const metrics = await this.getMetrics(query);
+        response.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE });
+        return response.end(metrics);
+      }
+
+      const route = this.routes[pathname];
+      if (!route) {
+        throw new HttpError(404, `Unknown endpoint ${pathname}`);
+      }
+
+      const format = this.parseFormat(query.format);
+      const rows = await route(query);
+      this.send(response, 200, rows, format);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        console.error(chalk.red(`❌ ${request.method} ${request.url}: ${error.message}`));
+      }
+      this.send(response, status, { error: error.message }, 'json');
+    }
+  }
+
+  send(response, status, body, format) {
+    const isCsv = format === 'csv' && Array.isArray(body);
+
+    response.writeHead(status, {
+      'Content-Type': isCsv ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': '*'
+    });
+    response.end(isCsv ? this.toCSV(body) : JSON.stringify(body, null, 2));
+  }
+
+  parseFormat(format = 'json') {
+    if (!['json', 'csv'].includes(format)) {
+      throw new HttpError(400, `Unsupported format "${format}" (use json or csv)`);
+    }
+    return format;
+  }
+
+  parseDays(days) {
+    if (days === undefined || days === '') return this.defaultDays;
+
+    const parsed = parseInt(days);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+      throw new HttpError(400, `Invalid days "${days}"`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Configured repositories, narrowed by `repo` the way the CLI matches --repo (id or name substring)
+   */
+  async resolveRepositories(repoFilter) {
+    const repositories = await this.configManager.getRepositories();
+    if (!repoFilter) return repositories;
+
+    const matchedRepo = repositories.find(repo =>
+      repo.id.includes(repoFilter) || repo.name.includes(repoFilter)
+    );
+    if (!matchedRepo) {
+      throw new HttpError(404, `Repository ${repoFilter} not found in configuration`);
+    }
+    return [matchedRepo];
+  }
+
+  /**
+   * Repository id for queries that take an optional filter; null means all repositories
+   */
+  async resolveRepositoryFilter(repoFilter) {
+    if (!repoFilter) return null;
+    const [repo] = await this.resolveRepositories(repoFilter);
+    return repo.id;
+  }
+
+  async getRepositories(query) {
+    const repositories = await this.resolveRepositories(query.repo);
+
+    return repositories.map(repo => Object.fromEntries(
+      PUBLIC_REPOSITORY_FIELDS.filter(field => repo[field] !== undefined).map(field => [field, repo[field]])
+    ));
+  }
+
+  async getDeployments(query) {
+    const days = this.parseDays(query.days);
+    const repositories = await this.resolveRepositories(query.repo);
+
+    const deployments = [];
+    for (const repo of repositories) {
+      deployments.push(...await this.dbManager.getDeployments(repo.id, days));
+    }
+    return deployments;
+  }
+
+  async getDeploymentStats(query) {
+    const days = this.parseDays(query.days);
+    const repositoryFilter = await this.resolveRepositoryFilter(query.repo);
+
+    return this.configManager.filterToTeam(
+      await this.deploymentFrequencyCalculator.calculateFrequency(repositoryFilter, days)
+    );
+  }
+
+  async getPullRequests(query) {
+    const days = this.parseDays(query.days);
+    const repositories = await this.resolveRepositories(query.repo);
+
+    const pullRequests = [];
+    for (const repo of repositories) {
+      const rows = await this.dbManager.getPullRequestsForLeadTime(repo.id, days);
+      pullRequests.push(...rows.map(pr => ({
+        ...pr,
+        labels: JSON.parse(pr.labels || '[]'),
+        is_merged: Boolean(pr.is_merged),
+        is_revert: Boolean(pr.is_revert)
+      })));
+    }
+    return pullRequests;
+  }
+
+  async getLeadTimeStats(query) {
+    const days = this.parseDays(query.days);
+    const repositoryFilter = await this.resolveRepositoryFilter(query.repo);
+
+    const stats = await this.configManager.filterToTeam(await this.dbManager.getLeadTimeStats(repositoryFilter, days));
+    const stageStats = await this.dbManager.getLeadTimeStageStats(repositoryFilter, days);
+
+    // Same shape as --action=leadtime --format=json
+    return stats.map(stat => ({
+      ...stat,
+      stages: stageStats
+        .filter(stage => stage.repository_id === stat.repository_id)
+        .map(({ repository_id, ...stage }) => stage)
+    }));
+  }
+
+  async getLeadTimePercentiles(query) {
+    const days = this.parseDays(query.days);
+    const repositoryFilter = await this.resolveRepositoryFilter(query.repo);
+
+    const stats = await this.configManager.filterToTeam(await this.dbManager.getLeadTimeStats(repositoryFilter, days));
+
+    const percentiles = [];
+    for (const stat of stats) {
+      percentiles.push({
+        repository_id: stat.repository_id,
+        pr_count: stat.pr_count,
+        ...await this.leadTimeCalculator.getLeadTimePercentiles(stat.repository_id, days)
+      });
+    }
+    return percentiles;
+  }
+
+  /**
+   * Pooled rollup per team; `team` narrows to one
+   */
+  async getTeamRollups(query) {
+    const days = this.parseDays(query.days);
+    let teams = await this.configManager.getTeams();
+
+    if (query.team) {
+      teams = teams.filter(team => team.name === query.team);
+      if (teams.length === 0) {
+        throw new HttpError(404, `Team ${query.team} not found in configuration`);
+      }
+    }
+
+    const rollups = [];
+    for (const team of teams) {
+      const repositories = await this.configManager.getTeamRepositories(team.name);
+      rollups.push(await this.teamRollupCalculator.calculateTeamRollup(team.name, repositories, days));
+    }
+    return rollups;
+  }
+
+  async getMetrics(query) {
+    const days = this.parseDays(query.days);
+    const repositories = await this.resolveRepositories(query.repo);
+
+    return this.prometheusExporter.render(repositories, days);
+  }
+
+  toCSV(rows) {
+    if (rows.length === 0) return '';
+
+    const columns = Object.keys(rows[0]);
+    const escape = value => {
+      if (value === null || value === undefined) return '';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      columns.join(','),
+      ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+    ].join('\n') + '\n';
+  }
+}
@@ -0,0 +1,47 @@
+import { LeadTimeCalculator } from './LeadTimeCalculator.js';
+import { DeploymentFrequencyCalculator } from './DeploymentFrequencyCalculator.js';
+
+export class TeamRollupCalculator {
+  /**
+   * Deployments and lead time for a group of repositories. Lead time statistics are taken
+   * over the pooled PRs of every repository, so a busy repository weighs more than a quiet
+   * one, instead of averaging the per-repository averages.
+   */
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+    this.leadTimeCalculator = new LeadTimeCalculator(dbManager);
+    this.deploymentFrequencyCalculator = new DeploymentFrequencyCalculator(dbManager);
+  }
+
+  async calculateTeamRollup(teamName, repositories, days = 30) {
+    let deployments = 0;
+    const leadTimes = [];
+
+    for (const repo of repositories) {
+      const [frequency] = await this.deploymentFrequencyCalculator.calculateFrequency(repo.id, days);
+      deployments += frequency?.deployment_count || 0;
+
+      // Same rows and window as the per-repository percentiles
+      const rows = await this.dbManager.getLeadTimePercentiles(repo.id, days);
+      leadTimes.push(...rows.map(row => row.total_lead_time_hours));
+    }
+
+    const deploymentsPerDay = deployments / days;
+    const avgLeadTimeHours = leadTimes.length > 0
+      ? leadTimes.reduce((sum, hours) => sum + hours, 0) / leadTimes.length
+      : null;
+
+    return {
+      team: teamName,
+      days,
+      repository_count: repositories.length,
+      repositories: repositories.map(repo => repo.id),
+      deployments,
+      deployments_per_week: this.deploymentFrequencyCalculator.round(deploymentsPerDay * 7),
+      pr_count: leadTimes.length,
+      avg_lead_time_hours: avgLeadTimeHours === null ? null : Math.round(avgLeadTimeHours * 100) / 100,
+      ...this.leadTimeCalculator.calculatePercentiles(leadTimes),
+      lead_time_tier: avgLeadTimeHours === null ? 'N/A' : this.leadTimeCalculator.categorizeLeadTime(avgLeadTimeHours).category
+    };
+  }
+}
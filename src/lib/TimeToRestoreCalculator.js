@@ -0,0 +1,106 @@
+import chalk from 'chalk';
+
+export const DEFAULT_INCIDENT_SETTINGS = {
+  label: 'incident'
+};
+
+export class TimeToRestoreCalculator {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  /**
+   * Calculate time to restore service for a repository
+   * Time to Restore = Time from an incident being opened until it is resolved
+   */
+  async calculateTimeToRestore(repositoryId, days = 30) {
+    await this.linkIncidentsToDeployments(repositoryId, days);
+
+    const incidents = await this.dbManager.getIncidents(repositoryId, days);
+    const restoreHours = this.getRestoreHours(incidents);
+
+    const meanHours = restoreHours.length > 0
+      ? restoreHours.reduce((sum, hours) => sum + hours, 0) / restoreHours.length
+      : null;
+    const medianHours = this.median(restoreHours);
+    const category = medianHours === null ? null : this.categorizeTimeToRestore(medianHours);
+
+    return {
+      repository_id: repositoryId,
+      days,
+      incident_count: incidents.length,
+      resolved_count: restoreHours.length,
+      open_count: incidents.length - restoreHours.length,
+      linked_count: incidents.filter(incident => incident.deployment_id).length,
+      mean_restore_hours: meanHours === null ? null : Math.round(meanHours * 100) / 100,
+      median_restore_hours: medianHours === null ? null : Math.round(medianHours * 100) / 100,
+      max_restore_hours: restoreHours.length > 0 ? Math.round(restoreHours[restoreHours.length - 1] * 100) / 100 : null,
+      performance: category?.category || 'N/A',
+      incidents: incidents.map(incident => ({
+        incident_id: incident.incident_id,
+        issue_number: incident.issue_number,
+        title: incident.title,
+        opened_at: incident.opened_at,
+        resolved_at: incident.resolved_at,
+        deployment_id: incident.linked_deployment || null,
+        deployment_date: incident.linked_deployment_date || null
+      }))
+    };
+  }
+
+  /**
+   * Restore durations in hours for resolved incidents, sorted ascending
+   */
+  getRestoreHours(incidents) {
+    return incidents
+      .filter(incident => incident.resolved_at)
+      .map(incident => this.calculateHoursDifference(new Date(incident.opened_at), new Date(incident.resolved_at)))
+      .filter(hours => hours >= 0)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Link each incident to the nearest deployment that preceded it
+   */
+  async linkIncidentsToDeployments(repositoryId, days = 30) {
+    const incidents = await this.dbManager.getIncidents(repositoryId, days);
+
+    for (const incident of incidents) {
+      try {
+        const deployment = await this.dbManager.getDeploymentBefore(repositoryId, incident.opened_at);
+        const deploymentId = deployment?.id || null;
+        if (deploymentId !== incident.deployment_id) {
+          await this.dbManager.linkIncidentToDeployment(incident.id, deploymentId);
+        }
+      } catch (error) {
+        console.warn(chalk.yellow(`   Warning: Could not link incident #${incident.issue_number} to a deployment: ${error.message}`));
+      }
+    }
+  }
+
+  /**
+   * Calculate the difference in hours between two dates
+   */
+  calculateHoursDifference(startDate, endDate) {
+    const diffMs = endDate.getTime() - startDate.getTime();
+    return diffMs / (1000 * 60 * 60); // Convert to hours
+  }
+
+  median(sortedValues) {
+    if (sortedValues.length === 0) return null;
+    const middle = Math.floor(sortedValues.length / 2);
+    return sortedValues.length % 2 === 0
+      ? (sortedValues[middle - 1] + sortedValues[middle]) / 2
+      : sortedValues[middle];
+  }
+
+  /**
+   * Categorize time to restore performance
+   */
+  categorizeTimeToRestore(hours) {
+    if (hours < 1) return { category: 'Elite', color: 'green', description: 'Less than 1 hour' };
+    if (hours < 24) return { category: 'High', color: 'blue', description: 'Less than 1 day' };
+    if (hours < 168) return { category: 'Medium', color: 'yellow', description: '1 day to 1 week' };
+    return { category: 'Low', color: 'red', description: 'More than 1 week' };
+  }
+}
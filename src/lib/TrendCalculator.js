@@ -0,0 +1,152 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TREND_PERIODS = ['week', 'month'];
+
+const dateOf = value => new Date(value).toISOString().slice(0, 10);
+
+export class TrendCalculator {
+  /**
+   * Daily rollups in stats_summary and the weekly/monthly trend built from them. Rollups are
+   * rewritten for the collection window only, so days older than the current --days keep the
+   * values from the run that last covered them. Dates are UTC days.
+   */
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  /**
+   * Recompute a repository's rollups for every full day in the window: successful and failed
+   * deployments by deployment date, lead times by merge date (as in the lead time trend)
+   */
+  async updateDailyStats(repositoryId, days = 30) {
+    // The first day of the window is only partly covered; leave its stored rollup alone
+    const fromDate = dateOf(Date.now() - (days - 1) * DAY_MS);
+    const rowsByDate = new Map();
+    const rowFor = date => {
+      if (!rowsByDate.has(date)) {
+        rowsByDate.set(date, { date, deployment_count: 0, failed_deployment_count: 0, lead_time_count: 0, lead_time_hours_total: 0 });
+      }
+      return rowsByDate.get(date);
+    };
+
+    const history = await this.dbManager.getDeploymentHistory(repositoryId, days);
+    history
+      .filter(day => day.date >= fromDate)
+      .forEach(day => {
+        const row = rowFor(day.date);
+        row.deployment_count += day.count - (day.failed_count || 0);
+        row.failed_deployment_count += day.failed_count || 0;
+      });
+
+    const pullRequests = await this.dbManager.getPullRequestsForLeadTime(repositoryId, days);
+    pullRequests
+      .filter(pr => pr.total_lead_time_hours !== null && pr.total_lead_time_hours !== undefined)
+      .filter(pr => dateOf(pr.merged_at) >= fromDate)
+      .forEach(pr => {
+        const row = rowFor(dateOf(pr.merged_at));
+        row.lead_time_count++;
+        row.lead_time_hours_total += pr.total_lead_time_hours;
+      });
+
+    const rows = [...rowsByDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+    await this.dbManager.saveDailyStats(repositoryId, fromDate, rows);
+    return rows;
+  }
+
+  /**
+   * Weekly (Monday-based) or monthly buckets over all stored rollups of the given repositories,
+   * pooled, oldest first. Empty periods between the first rollup and today are kept so a gap
+   * reads as zero deployments. Each bucket carries its change against the previous one.
+   *
+   * @param {string[]} repositoryIds
+   * @param {object} [options]
+   * @param {string} [options.period] - week or month
+   * @param {number} [options.periods] - Most recent buckets to return
+   */
+  async getTrend(repositoryIds, options = {}) {
+    const { period = 'week', periods = 12 } = options;
+    if (!TREND_PERIODS.includes(period)) {
+      throw new Error(`Unsupported trend period "${period}" (use ${TREND_PERIODS.join(' or ')})`);
+    }
+
+    const rows = [];
+    for (const repositoryId of repositoryIds) {
+      rows.push(...await this.dbManager.getDailyStats(repositoryId));
+    }
+    if (rows.length === 0) return [];
+
+    const firstDate = rows.reduce((first, row) => (row.date < first ? row.date : first), rows[0].date);
+    const today = dateOf(Date.now());
+    const buckets = [];
+    for (let start = this.periodStart(firstDate, period); start <= today; start = this.nextPeriodStart(start, period)) {
+      buckets.push({
+        period_start: start,
+        period_end: dateOf(new Date(`${this.nextPeriodStart(start, period)}T00:00:00Z`).getTime() - DAY_MS),
+        deployments: 0,
+        failed_deployments: 0,
+        pr_count: 0,
+        lead_time_hours_total: 0
+      });
+    }
+
+    const bucketsByStart = new Map(buckets.map(bucket => [bucket.period_start, bucket]));
+    rows.forEach(row => {
+      const bucket = bucketsByStart.get(this.periodStart(row.date, period));
+      if (!bucket) return;
+      bucket.deployments += row.deployment_count || 0;
+      bucket.failed_deployments += row.failed_deployment_count || 0;
+      bucket.pr_count += row.lead_time_count || 0;
+      bucket.lead_time_hours_total += row.lead_time_hours_total || 0;
+    });
+
+    const trend = buckets.map(({ lead_time_hours_total, ...bucket }) => ({
+      ...bucket,
+      partial: bucket.period_end >= today,
+      avg_lead_time_hours: bucket.pr_count > 0 ? this.round(lead_time_hours_total / bucket.pr_count) : null
+    }));
+
+    trend.forEach((bucket, index) => {
+      const previous = trend[index - 1];
+      bucket.deployments_change_percent = previous ? this.changePercent(previous.deployments, bucket.deployments) : null;
+      bucket.avg_lead_time_change_percent = previous
+        ? this.changePercent(previous.avg_lead_time_hours, bucket.avg_lead_time_hours)
+        : null;
+    });
+
+    return trend.slice(-periods);
+  }
+
+  /**
+   * Monday of the week, or the first of the month, of a YYYY-MM-DD date
+   */
+  periodStart(date, period) {
+    if (period === 'month') return `${date.slice(0, 7)}-01`;
+
+    const time = new Date(`${date}T00:00:00Z`).getTime();
+    const daysSinceMonday = (new Date(time).getUTCDay() + 6) % 7;
+    return dateOf(time - daysSinceMonday * DAY_MS);
+  }
+
+  nextPeriodStart(start, period) {
+    const date = new Date(`${start}T00:00:00Z`);
+    if (period === 'month') {
+      date.setUTCMonth(date.getUTCMonth() + 1);
+    } else {
+      date.setUTCDate(date.getUTCDate() + 7);
+    }
+    return dateOf(date);
+  }
+
+  /**
+   * Percent change; null when there is nothing to compare against
+   */
+  changePercent(previous, current) {
+    if (previous === null || current === null || previous === 0) return null;
+    return this.round(((current - previous) / previous) * 100, 1);
+  }
+
+  round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+}
@@ -0,0 +1,162 @@
+import chalk from 'chalk';
+import { CronSchedule } from './CronSchedule.js';
+
+const DEFAULT_UPDATE_INTERVAL_SECONDS = 3600;
+// Longest delay setTimeout accepts (about 24.8 days); longer ones fire after 1 ms
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+export class Watcher {
+  /**
+   * Long-running collector: syncs deployments and pull requests for every configured
+   * repository, recalculates lead time when anything new was stored, then refreshes the daily
+   * rollups and checks the alert rules. Repositories with a `schedule` (cron expression) run
+   * on it; the others every settings.updateInterval seconds. Every repository is synced once
+   * at startup.
+   *
+   * @param {RepoStatsCounter} statsCounter
+   * @param {ConfigManager} configManager
+   * @param {object} [options]
+   * @param {number} options.days - Collection window
+   * @param {string} [options.specificRepo] - Only watch repositories matching this id or name
+   */
+  constructor(statsCounter, configManager, options = {}) {
+    this.statsCounter = statsCounter;
+    this.configManager = configManager;
+    this.days = options.days;
+    this.specificRepo = options.specificRepo || null;
+    this.cycle = 0;
+    this.stopping = false;
+    this.timer = null;
+    this.wake = null;
+  }
+
+  /**
+   * Run until stop() is called; resolves once the in-flight sync has finished
+   */
+  async run() {
+    const repositories = (await this.configManager.getRepositories())
+      .filter(repo => !this.specificRepo || repo.id.includes(this.specificRepo) || repo.name.includes(this.specificRepo));
+    const settings = await this.configManager.getSettings();
+    const intervalMs = (settings.updateInterval || DEFAULT_UPDATE_INTERVAL_SECONDS) * 1000;
+
+    if (repositories.length === 0) {
+      console.log(chalk.yellow('⚠️  No repositories configured.'));
+      return;
+    }
+
+    // Invalid cron expressions fail here, before anything runs; next() also rejects
+    // expressions that parse but never match (e.g. "0 0 30 2 *")
+    const jobs = repositories.map(repo => {
+      const schedule = repo.schedule ? new CronSchedule(repo.schedule) : null;
+      schedule?.next();
+      return { repo, schedule, nextRunAt: Date.now() };
+    });
+
+    console.log(chalk.blue(`👀 Watching ${jobs.length} repositories (last ${this.days} days)`));
+    jobs.forEach(({ repo, schedule }) => {
+      const cadence = schedule ? `cron "${schedule.expression}"` : `every ${intervalMs / 1000}s`;
+      console.log(chalk.gray(`   ${repo.owner}/${repo.name}: ${cadence}`));
+    });
+    console.log();
+
+    let announcedRunAt = null;
+    while (!this.stopping) {
+      const due = jobs.filter(job => job.nextRunAt <= Date.now());
+
+      if (due.length > 0) {
+        await this.runCycle(due.map(job => job.repo));
+        due.forEach(job => {
+          job.nextRunAt = job.schedule ? job.schedule.next().getTime() : Date.now() + intervalMs;
+        });
+        continue;
+      }
+
+      const nextRunAt = Math.min(...jobs.map(job => job.nextRunAt));
+      if (nextRunAt !== announcedRunAt) {
+        const nextJobs = jobs.filter(job => job.nextRunAt === nextRunAt).map(job => job.repo.name);
+        console.log(chalk.gray(`💤 Next sync ${new Date(nextRunAt).toLocaleString()} (${nextJobs.join(', ')})`));
+        announcedRunAt = nextRunAt;
+      }
+      // Wakes early for far-off schedules (e.g. @monthly); the loop then checks what is due again
+      await this.sleep(Math.min(nextRunAt - Date.now(), MAX_TIMEOUT_MS));
+    }
+
+    console.log(chalk.yellow('👋 Watcher stopped'));
+  }
+
+  /**
+   * Sync the given repositories one after another. A stop request is honoured between
+   * steps, never in the middle of one, so every sync that starts also records its cursor.
+   */
+  async runCycle(repositories) {
+    this.cycle++;
+    const startedAt = Date.now();
+    console.log(chalk.blue(`🔄 Cycle ${this.cycle} started ${new Date(startedAt).toLocaleString()}: ${repositories.map(repo => repo.name).join(', ')}`));
+
+    const summaries = [];
+    for (const repo of repositories) {
+      if (this.stopping) break;
+
+      // One failing repository must not end the watch; it is retried on its next run
+      try {
+        const summary = await this.syncRepository(repo);
+        if (summary) summaries.push(summary);
+      } catch (error) {
+        console.log(chalk.red(`   Error syncing ${repo.name}: ${error.message}\n`));
+        summaries.push(`${repo.name}: failed (${error.message})`);
+      }
+    }
+
+    const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+    const status = this.stopping ? 'interrupted' : 'finished';
+    console.log(chalk.green(`✅ Cycle ${this.cycle} ${status} in ${seconds}s`));
+    summaries.forEach(summary => console.log(chalk.gray(`   ${summary}`)));
+    console.log();
+  }
+
+  /**
+   * Collect, recalculate and check one repository; null when a stop request cut it short
+   */
+  async syncRepository(repo) {
+    const deployments = await this.statsCounter.countRepositoryDeployments(repo, this.days);
+    if (this.stopping) return null;
+
+    const pullRequests = await this.statsCounter.collectRepositoryPullRequests(repo, this.days);
+    if (this.stopping) return null;
+
+    let leadTimes = null;
+    if (deployments > 0 || pullRequests > 0) {
+      const metrics = await this.statsCounter.leadTimeCalculator.calculateLeadTime(
+        repo.id,
+        this.days,
+        this.statsCounter.getLeadTimeOptions(repo)
+      );
+      leadTimes = metrics.length;
+    }
+
+    const alerts = await this.statsCounter.afterCollection(repo, this.days);
+
+    return `${repo.name}: ${deployments} deployments, ${pullRequests} PRs, ` +
+      (leadTimes === null ? 'lead time unchanged' : `${leadTimes} lead times recalculated`) +
+      (alerts.length > 0 ? `, ${alerts.length} alerts` : '');
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      this.wake = resolve;
+      this.timer = setTimeout(resolve, Math.max(ms, 0));
+    });
+  }
+
+  /**
+   * Finish the current step, then leave run(). Safe to call from a signal handler.
+   */
+  stop() {
+    if (this.stopping) return;
+    this.stopping = true;
+    console.log(chalk.yellow('\n⏳ Stopping after the current step...'));
+
+    clearTimeout(this.timer);
+    if (this.wake) this.wake();
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Tables from the first release: repositories, deployments, daily stats, pull requests and lead time
+ */
+export const description = 'Initial schema';
+
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS repositories (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      owner TEXT NOT NULL,
+      platform TEXT NOT NULL,
+      url TEXT NOT NULL,
+      last_checked DATETIME,
+      total_deployments INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS deployments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      repository_id TEXT NOT NULL,
+      deployment_id TEXT,
+      deployment_type TEXT NOT NULL,
+      deployment_date DATETIME NOT NULL,
+      commit_sha TEXT,
+      tag_name TEXT,
+      branch TEXT,
+      status TEXT DEFAULT 'unknown',
+      environment TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(repository_id, deployment_id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS stats_summary (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      repository_id TEXT NOT NULL,
+      date DATE NOT NULL,
+      deployment_count INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(repository_id, date),
+      FOREIGN KEY(repository_id) REFERENCES repositories(id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS pull_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      repository_id TEXT NOT NULL,
+      pr_number INTEGER NOT NULL,
+      pr_id TEXT NOT NULL,
+      title TEXT,
+      author TEXT,
+      created_at_pr DATETIME NOT NULL,
+      merged_at DATETIME,
+      closed_at DATETIME,
+      first_commit_at DATETIME,
+      last_commit_at DATETIME,
+      base_branch TEXT,
+      head_branch TEXT,
+      head_sha TEXT,
+      merge_sha TEXT,
+      state TEXT,
+      is_merged BOOLEAN DEFAULT 0,
+      lines_added INTEGER DEFAULT 0,
+      lines_deleted INTEGER DEFAULT 0,
+      commits_count INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(repository_id, pr_number),
+      FOREIGN KEY(repository_id) REFERENCES repositories(id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS lead_time_metrics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      repository_id TEXT NOT NULL,
+      pr_id INTEGER NOT NULL,
+      deployment_id INTEGER,
+      coding_time_hours REAL,
+      review_time_hours REAL,
+      deployment_time_hours REAL,
+      total_lead_time_hours REAL NOT NULL,
+      commit_to_merge_hours REAL,
+      merge_to_deploy_hours REAL,
+      first_commit_at DATETIME NOT NULL,
+      merged_at DATETIME,
+      deployed_at DATETIME,
+      calculated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(repository_id) REFERENCES repositories(id),
+      FOREIGN KEY(pr_id) REFERENCES pull_requests(id),
+      FOREIGN KEY(deployment_id) REFERENCES deployments(id)
+    )
+  `);
+}
@@ -0,0 +1,40 @@
+/**
+ * Revert/hotfix signals on pull requests, incident issues and per-repository sync bookkeeping
+ */
+export const description = 'PR labels and reverts, incidents, sync state';
+
+export async function up(db) {
+  await db.addColumn('pull_requests', 'labels', 'TEXT');
+  await db.addColumn('pull_requests', 'is_revert', 'BOOLEAN DEFAULT 0');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS incidents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      repository_id TEXT NOT NULL,
+      incident_id TEXT NOT NULL,
+      issue_number INTEGER,
+      title TEXT,
+      state TEXT,
+      labels TEXT,
+      url TEXT,
+      opened_at DATETIME NOT NULL,
+      resolved_at DATETIME,
+      deployment_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(repository_id, incident_id),
+      FOREIGN KEY(repository_id) REFERENCES repositories(id),
+      FOREIGN KEY(deployment_id) REFERENCES deployments(id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS sync_state (
+      repository_id TEXT NOT NULL,
+      data_type TEXT NOT NULL,
+      last_synced_at DATETIME NOT NULL,
+      days INTEGER,
+      PRIMARY KEY(repository_id, data_type)
+    )
+  `);
+}
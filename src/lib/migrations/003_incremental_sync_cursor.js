@@ -0,0 +1,8 @@
+/**
+ * High-water mark for incremental syncs
+ */
+export const description = 'Incremental sync cursor';
+
+export async function up(db) {
+  await db.addColumn('sync_state', 'cursor', 'DATETIME');
+}
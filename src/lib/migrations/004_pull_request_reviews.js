@@ -0,0 +1,8 @@
+/**
+ * Time of the first review, collected by the GitHub GraphQL path
+ */
+export const description = 'First review time on pull requests';
+
+export async function up(db) {
+  await db.addColumn('pull_requests', 'first_review_at', 'DATETIME');
+}
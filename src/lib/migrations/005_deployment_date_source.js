@@ -0,0 +1,8 @@
+/**
+ * Which timestamp a deployment date came from (tagger, release, push_event, commit, ...)
+ */
+export const description = 'Deployment date source';
+
+export async function up(db) {
+  await db.addColumn('deployments', 'date_source', 'TEXT');
+}
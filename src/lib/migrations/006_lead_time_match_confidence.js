@@ -0,0 +1,8 @@
+/**
+ * How a PR was matched to its deployment (exact, ancestry, time-fallback, none)
+ */
+export const description = 'Lead time match confidence';
+
+export async function up(db) {
+  await db.addColumn('lead_time_metrics', 'match_confidence', 'TEXT');
+}
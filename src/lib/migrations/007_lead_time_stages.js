@@ -0,0 +1,24 @@
+/**
+ * Time from merge to each environment in a repository's promotion order
+ */
+export const description = 'Lead time per environment stage';
+
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS lead_time_stages (
+      repository_id TEXT NOT NULL,
+      pr_id INTEGER NOT NULL,
+      environment TEXT NOT NULL,
+      stage_order INTEGER NOT NULL,
+      deployment_id INTEGER,
+      deployed_at DATETIME,
+      hours_from_merge REAL,
+      hours_from_first_commit REAL,
+      match_confidence TEXT,
+      PRIMARY KEY(pr_id, environment),
+      FOREIGN KEY(repository_id) REFERENCES repositories(id),
+      FOREIGN KEY(pr_id) REFERENCES pull_requests(id),
+      FOREIGN KEY(deployment_id) REFERENCES deployments(id)
+    )
+  `);
+}
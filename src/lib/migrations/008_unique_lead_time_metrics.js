@@ -0,0 +1,17 @@
+/**
+ * Older versions stored a new lead time row on every calculation. Keep the latest row per PR
+ * and enforce one row per PR from now on.
+ */
+export const description = 'Deduplicate lead time metrics per PR';
+
+// Deletes rows, so the database is backed up first
+export const destructive = true;
+
+export async function up(db) {
+  await db.run(`
+    DELETE FROM lead_time_metrics
+    WHERE id NOT IN (SELECT MAX(id) FROM lead_time_metrics GROUP BY pr_id)
+  `);
+
+  await db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_lead_time_metrics_pr_id ON lead_time_metrics(pr_id)`);
+}
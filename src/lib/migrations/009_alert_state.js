@@ -0,0 +1,19 @@
+/**
+ * Last known state of each alert rule per repository, so an alert is delivered once
+ * when it starts firing instead of on every run
+ */
+export const description = 'Alert rule state';
+
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS alert_state (
+      repository_id TEXT NOT NULL,
+      rule_id TEXT NOT NULL,
+      active INTEGER DEFAULT 0,
+      value TEXT,
+      fired_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY(repository_id, rule_id)
+    )
+  `);
+}
@@ -0,0 +1,12 @@
+/**
+ * stats_summary becomes the daily rollup behind --action=trend: failed deployments and the
+ * lead time sum/count of PRs merged that day, so buckets can pool days exactly
+ */
+export const description = 'Daily deployment and lead time rollups';
+
+export async function up(db) {
+  await db.addColumn('stats_summary', 'failed_deployment_count', 'INTEGER DEFAULT 0');
+  await db.addColumn('stats_summary', 'lead_time_count', 'INTEGER DEFAULT 0');
+  await db.addColumn('stats_summary', 'lead_time_hours_total', 'REAL DEFAULT 0');
+  await db.addColumn('stats_summary', 'updated_at', 'DATETIME');
+}
@@ -0,0 +1,150 @@
+/**
+ * PostgreSQL schema, equivalent to SQLite migrations 001-008. Later schema changes add a
+ * migration to both folders.
+ *
+ * Foreign keys are left out on purpose: SQLite never enforced them, and rows are written in
+ * collection order (pull requests before their repository row, lead times before pruning).
+ */
+export const description = 'Initial schema';
+
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS repositories (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      owner TEXT NOT NULL,
+      platform TEXT NOT NULL,
+      url TEXT NOT NULL,
+      last_checked TIMESTAMPTZ,
+      total_deployments INTEGER DEFAULT 0,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS deployments (
+      id SERIAL PRIMARY KEY,
+      repository_id TEXT NOT NULL,
+      deployment_id TEXT,
+      deployment_type TEXT NOT NULL,
+      deployment_date TIMESTAMPTZ NOT NULL,
+      commit_sha TEXT,
+      tag_name TEXT,
+      branch TEXT,
+      status TEXT DEFAULT 'unknown',
+      environment TEXT,
+      date_source TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(repository_id, deployment_id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS stats_summary (
+      id SERIAL PRIMARY KEY,
+      repository_id TEXT NOT NULL,
+      date DATE NOT NULL,
+      deployment_count INTEGER DEFAULT 0,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(repository_id, date)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS pull_requests (
+      id SERIAL PRIMARY KEY,
+      repository_id TEXT NOT NULL,
+      pr_number INTEGER NOT NULL,
+      pr_id TEXT NOT NULL,
+      title TEXT,
+      author TEXT,
+      created_at_pr TIMESTAMPTZ NOT NULL,
+      merged_at TIMESTAMPTZ,
+      closed_at TIMESTAMPTZ,
+      first_commit_at TIMESTAMPTZ,
+      last_commit_at TIMESTAMPTZ,
+      base_branch TEXT,
+      head_branch TEXT,
+      head_sha TEXT,
+      merge_sha TEXT,
+      state TEXT,
+      is_merged INTEGER DEFAULT 0,
+      lines_added INTEGER DEFAULT 0,
+      lines_deleted INTEGER DEFAULT 0,
+      commits_count INTEGER DEFAULT 0,
+      labels TEXT,
+      is_revert INTEGER DEFAULT 0,
+      first_review_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(repository_id, pr_number)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS lead_time_metrics (
+      id SERIAL PRIMARY KEY,
+      repository_id TEXT NOT NULL,
+      pr_id INTEGER NOT NULL UNIQUE,
+      deployment_id INTEGER,
+      coding_time_hours DOUBLE PRECISION,
+      review_time_hours DOUBLE PRECISION,
+      deployment_time_hours DOUBLE PRECISION,
+      total_lead_time_hours DOUBLE PRECISION NOT NULL,
+      commit_to_merge_hours DOUBLE PRECISION,
+      merge_to_deploy_hours DOUBLE PRECISION,
+      first_commit_at TIMESTAMPTZ NOT NULL,
+      merged_at TIMESTAMPTZ,
+      deployed_at TIMESTAMPTZ,
+      match_confidence TEXT,
+      calculated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS lead_time_stages (
+      repository_id TEXT NOT NULL,
+      pr_id INTEGER NOT NULL,
+      environment TEXT NOT NULL,
+      stage_order INTEGER NOT NULL,
+      deployment_id INTEGER,
+      deployed_at TIMESTAMPTZ,
+      hours_from_merge DOUBLE PRECISION,
+      hours_from_first_commit DOUBLE PRECISION,
+      match_confidence TEXT,
+      PRIMARY KEY(pr_id, environment)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS incidents (
+      id SERIAL PRIMARY KEY,
+      repository_id TEXT NOT NULL,
+      incident_id TEXT NOT NULL,
+      issue_number INTEGER,
+      title TEXT,
+      state TEXT,
+      labels TEXT,
+      url TEXT,
+      opened_at TIMESTAMPTZ NOT NULL,
+      resolved_at TIMESTAMPTZ,
+      deployment_id INTEGER,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(repository_id, incident_id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS sync_state (
+      repository_id TEXT NOT NULL,
+      data_type TEXT NOT NULL,
+      last_synced_at TIMESTAMPTZ NOT NULL,
+      days INTEGER,
+      cursor TIMESTAMPTZ,
+      PRIMARY KEY(repository_id, data_type)
+    )
+  `);
+}
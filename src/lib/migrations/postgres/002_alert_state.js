@@ -0,0 +1,18 @@
+/**
+ * Same as SQLite migration 009
+ */
+export const description = 'Alert rule state';
+
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS alert_state (
+      repository_id TEXT NOT NULL,
+      rule_id TEXT NOT NULL,
+      active INTEGER DEFAULT 0,
+      value TEXT,
+      fired_at TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY(repository_id, rule_id)
+    )
+  `);
+}
@@ -0,0 +1,11 @@
+/**
+ * Same as SQLite migration 010
+ */
+export const description = 'Daily deployment and lead time rollups';
+
+export async function up(db) {
+  await db.addColumn('stats_summary', 'failed_deployment_count', 'INTEGER DEFAULT 0');
+  await db.addColumn('stats_summary', 'lead_time_count', 'INTEGER DEFAULT 0');
+  await db.addColumn('stats_summary', 'lead_time_hours_total', 'DOUBLE PRECISION DEFAULT 0');
+  await db.addColumn('stats_summary', 'updated_at', 'TIMESTAMPTZ');
+}
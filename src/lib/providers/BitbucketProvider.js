@@ -0,0 +1,348 @@
+import { fetchAllPages } from './pagination.js';
+import { HttpClient, RateLimitError, AuthenticationError } from './HttpClient.js';
+
+export class BitbucketProvider {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.baseURL] - API base URL override (e.g. a proxy)
+   * @param {HttpClient} [options.httpClient] - Shared HTTP client (rate limits, retries, ETag cache)
+   * @param {string} [options.token] - API token; defaults to BITBUCKET_TOKEN
+   */
+  constructor(options = {}) {
+    this.baseURL = (options.baseURL || 'https://api.bitbucket.org/2.0').replace(/\/+$/, '');
+    this.token = 'token' in options ? options.token : process.env.BITBUCKET_TOKEN;
+    this.http = options.httpClient || new HttpClient({ platform: 'Bitbucket' });
+  }
+
+  getHeaders() {
+    return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.since] - Only fetch items changed since this time (incremental sync)
+   */
+  async getDeployments(repo, days = 30, options = {}) {
+    const deployments = [];
+    const since = options.since || new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    try {
+      switch (repo.deploymentMethod) {
+        case 'tags':
+          const tags = await this.getTags(repo, since);
+          deployments.push(...tags);
+          break;
+
+        case 'pipeline':
+        case 'pipelines':
+        case 'workflow':
+        case 'workflows':
+          const pipelines = await this.getPipelines(repo, since);
+          deployments.push(...pipelines);
+          break;
+
+        case 'deployments':
+          const bitbucketDeployments = await this.getBitbucketDeployments(repo, since);
+          deployments.push(...bitbucketDeployments);
+          break;
+
+        default:
+          // Try deployments API first, then tags
+          const defaultDeployments = await this.getBitbucketDeployments(repo, since);
+          if (defaultDeployments.length > 0) {
+            deployments.push(...defaultDeployments);
+          } else {
+            const defaultTags = await this.getTags(repo, since);
+            deployments.push(...defaultTags);
+          }
+      }
+
+      return deployments;
+    } catch (error) {
+      // Auth and quota failures arrive as AuthenticationError / RateLimitError from HttpClient
+      if (error.response?.status === 404) {
+        throw new Error(`Repository not found or not accessible: ${repo.owner}/${repo.name}`);
+      }
+      throw error;
+    }
+  }
+
+  async getTags(repo, since) {
+    const url = `${this.baseURL}/repositories/${repo.owner}/${repo.name}/refs/tags`;
+
+    // Sorted by commit date, but an annotated tag on an old commit can still be new, so there is
+    // no page boundary: every tag is read
+    const tagRefs = await fetchAllPages(url, {
+      client: this.http,
+      headers: this.getHeaders(),
+      params: {
+        sort: '-target.date',
+        pagelen: 100
+      },
+      label: `tags for ${repo.owner}/${repo.name}`
+    });
+
+    const tags = [];
+    for (const tag of tagRefs) {
+      // Annotated tags carry their own date; lightweight tags only have the commit date
+      // (Bitbucket has no releases or tag push events to fall back to)
+      const tagDate = tag.date || tag.target?.date;
+      if (tagDate && new Date(tagDate) >= new Date(since)) {
+        tags.push({
+          id: `tag-${tag.name}`,
+          type: 'tag',
+          date: tagDate,
+          date_source: tag.date ? 'tagger' : 'commit',
+          commit_sha: tag.target?.hash,
+          tag_name: tag.name,
+          branch: repo.branch || 'main',
+          status: 'success',
+          environment: 'production'
+        });
+      }
+    }
+
+    return tags;
+  }
+
+  async getPipelines(repo, since) {
+    const url = `${this.baseURL}/repositories/${repo.owner}/${repo.name}/pipelines/`;
+    const branch = repo.branch || 'main';
+
+    const pipelines = await fetchAllPages(url, {
+      client: this.http,
+      headers: this.getHeaders(),
+      params: {
+        sort: '-created_on',
+        pagelen: 100
+      },
+      isPastBoundary: pipeline => new Date(pipeline.created_on) < new Date(since),
+      label: `pipelines for ${repo.owner}/${repo.name}`
+    });
+
+    // Failed pipelines are kept so they count towards the change failure rate
+    return pipelines
+      .filter(pipeline => new Date(pipeline.created_on) >= new Date(since))
+      .filter(pipeline => pipeline.state?.name === 'COMPLETED')
+      .filter(pipeline => ['SUCCESSFUL', 'FAILED', 'ERROR'].includes(pipeline.state?.result?.name))
+      .filter(pipeline => pipeline.target?.ref_name === branch) // Only main branch
+      .map(pipeline => ({
+        id: `pipeline-${pipeline.uuid}`,
+        type: 'pipeline',
+        date: pipeline.created_on,
+        date_source: 'pipeline',
+        commit_sha: pipeline.target?.commit?.hash,
+        tag_name: null,
+        branch: pipeline.target?.ref_name,
+        status: pipeline.state.result.name === 'SUCCESSFUL' ? 'success' : 'failed',
+        environment: 'production'
+      }));
+  }
+
+  async getBitbucketDeployments(repo, since) {
+    const url = `${this.baseURL}/repositories/${repo.owner}/${repo.name}/deployments/`;
+
+    // Newest first by start time; a deployment finishes after it starts, so paging can stop at
+    // the first one that started before the window
+    const bitbucketDeployments = await fetchAllPages(url, {
+      client: this.http,
+      headers: this.getHeaders(),
+      params: {
+        sort: '-state.started_on',
+        pagelen: 100
+      },
+      isPastBoundary: deployment => deployment.state?.started_on && new Date(deployment.state.started_on) < new Date(since),
+      label: `deployments for ${repo.owner}/${repo.name}`
+    });
+
+    const environments = await this.getEnvironments(repo);
+
+    return bitbucketDeployments
+      .filter(deployment => deployment.state?.name === 'COMPLETED')
+      .map(deployment => ({
+        deployment,
+        date: deployment.state.completed_on || deployment.state.started_on || deployment.release?.created_on
+      }))
+      .filter(({ date }) => date && new Date(date) >= new Date(since))
+      .map(({ deployment, date }) => ({
+        id: `deployment-${deployment.uuid}`,
+        type: 'deployment',
+        date,
+        date_source: 'deployment',
+        commit_sha: deployment.release?.commit?.hash,
+        tag_name: deployment.release?.name || null,
+        branch: repo.branch || 'main',
+        status: deployment.state.status?.name === 'SUCCESSFUL' ? 'success' : 'failed',
+        environment: environments[deployment.environment?.uuid] || 'production'
+      }));
+  }
+
+  async getEnvironments(repo) {
+    const url = `${this.baseURL}/repositories/${repo.owner}/${repo.name}/environments/`;
+
+    try {
+      const environments = await fetchAllPages(url, {
+        client: this.http,
+        headers: this.getHeaders(),
+        params: { pagelen: 100 },
+        label: `environments for ${repo.owner}/${repo.name}`
+      });
+
+      return Object.fromEntries(
+        environments.map(environment => [environment.uuid, environment.name.toLowerCase()])
+      );
+    } catch (error) {
+      // Environment names are cosmetic; fall back to "production"
+      return {};
+    }
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.since] - Only fetch items changed since this time (incremental sync)
+   */
+  async getPullRequests(repo, days = 30, options = {}) {
+    const since = options.since || new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const url = `${this.baseURL}/repositories/${repo.owner}/${repo.name}/pullrequests`;
+    const headers = this.getHeaders();
+
+    const mergedPullRequests = await fetchAllPages(url, {
+      client: this.http,
+      headers,
+      params: {
+        state: 'MERGED',
+        sort: '-updated_on',
+        pagelen: 50
+      },
+      isPastBoundary: pr => new Date(pr.updated_on) < new Date(since),
+      label: `pull requests for ${repo.owner}/${repo.name}`
+    });
+
+    const pullRequests = [];
+
+    for (const pr of mergedPullRequests) {
+      const mergedAt = await this.getMergedAt(`${url}/${pr.id}`, pr, headers);
+      if (!mergedAt || new Date(mergedAt) < new Date(since)) {
+        continue;
+      }
+
+      const basePullRequest = {
+        pr_number: pr.id,
+        pr_id: `bitbucket-pr-${repo.owner}-${repo.name}-${pr.id}`,
+        title: pr.title,
+        author: pr.author?.nickname || pr.author?.display_name || 'unknown',
+        created_at_pr: pr.created_on,
+        merged_at: mergedAt,
+        closed_at: mergedAt,
+        base_branch: pr.destination?.branch?.name || 'main',
+        head_branch: pr.source?.branch?.name || 'unknown',
+        head_sha: pr.source?.commit?.hash,
+        merge_sha: pr.merge_commit?.hash,
+        state: pr.state,
+        is_merged: pr.state === 'MERGED',
+        labels: [] // Bitbucket pull requests have no labels
+      };
+
+      try {
+        // Get commits for this PR to find first commit date
+        const commitsUrl = `${url}/${pr.id}/commits`;
+        const commits = await fetchAllPages(commitsUrl, {
+          client: this.http,
+          headers,
+          params: { pagelen: 100 },
+          label: `commits for PR #${pr.id}`
+        });
+
+        const firstCommit = commits[commits.length - 1]; // Bitbucket returns newest commits first
+        const lastCommit = commits[0];
+
+        // Get diffstat for lines added/deleted
+        const diffstatUrl = `${url}/${pr.id}/diffstat`;
+        const diffstat = await fetchAllPages(diffstatUrl, {
+          client: this.http,
+          headers,
+          params: { pagelen: 500 },
+          label: `diffstat for PR #${pr.id}`
+        });
+
+        let linesAdded = 0;
+        let linesDeleted = 0;
+        diffstat.forEach(file => {
+          linesAdded += file.lines_added || 0;
+          linesDeleted += file.lines_removed || 0;
+        });
+
+        pullRequests.push({
+          ...basePullRequest,
+          first_commit_at: firstCommit?.date || pr.created_on,
+          last_commit_at: lastCommit?.date || pr.created_on,
+          lines_added: linesAdded,
+          lines_deleted: linesDeleted,
+          commits_count: commits.length,
+          is_revert: this.isRevert(pr.title, commits.map(commit => commit.message))
+        });
+
+      } catch (error) {
+        // Quota and auth failures affect every remaining request; stop instead of degrading
+        if (error instanceof RateLimitError || error instanceof AuthenticationError) throw error;
+        console.warn(`Warning: Could not fetch details for PR #${pr.id}: ${error.message}`);
+        // Add PR with basic info only
+        pullRequests.push({
+          ...basePullRequest,
+          first_commit_at: pr.created_on,
+          last_commit_at: pr.created_on,
+          lines_added: 0,
+          lines_deleted: 0,
+          commits_count: 0,
+          is_revert: this.isRevert(pr.title)
+        });
+      }
+    }
+
+    return pullRequests;
+  }
+
+  /**
+   * Bitbucket pull requests have no merged timestamp, and updated_on moves with every later
+   * comment; the MERGED state change in the activity log is when the merge happened
+   */
+  async getMergedAt(prUrl, pr, headers) {
+    const isMerge = item => item.update?.state === 'MERGED';
+
+    try {
+      // Activity is listed newest first; the merge is normally on the first page
+      const activity = await fetchAllPages(`${prUrl}/activity`, {
+        client: this.http,
+        headers,
+        params: { pagelen: 50 },
+        isPastBoundary: isMerge,
+        label: `activity for PR #${pr.id}`
+      });
+
+      const merge = activity.find(isMerge);
+      if (merge?.update.date) return merge.update.date;
+    } catch (error) {
+      if (error instanceof RateLimitError || error instanceof AuthenticationError) throw error;
+      console.warn(`Warning: Could not fetch activity for PR #${pr.id}: ${error.message}`);
+    }
+
+    return pr.closed_on || pr.updated_on;
+  }
+
+  /**
+   * Whether ancestorSha is contained in the history of descendantSha (merge base API)
+   */
+  async isAncestor(repo, ancestorSha, descendantSha) {
+    const url = `${this.baseURL}/repositories/${repo.owner}/${repo.name}/merge-base/${ancestorSha}..${descendantSha}`;
+
+    const response = await this.http.get(url, { headers: this.getHeaders() });
+    return response.data.hash === ancestorSha;
+  }
+
+  /**
+   * A PR is a revert when its title or any of its commits starts with "Revert"
+   */
+  isRevert(title, commitMessages = []) {
+    return [title, ...commitMessages].some(message => /^Revert\b/i.test(message || ''));
+  }
+}
@@ -1,25 +1,87 @@
-import axios from 'axios';
+import { fetchAllPages, DEFAULT_MAX_PAGES } from './pagination.js';
+import { HttpClient, RateLimitError, AuthenticationError } from './HttpClient.js';
+
+const SHA_PATTERN = /^[0-9a-f]{40}$/i;
+
+// How far before the window to look for deployments that were created earlier but finished inside it
+const DEPLOYMENT_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// PRs per GraphQL page; each PR also pulls up to 100 commits, so keep batches small
+const GRAPHQL_PAGE_SIZE = 25;
+
+const PULL_REQUESTS_QUERY = `
+  query($owner: String!, $name: String!, $cursor: String, $pageSize: Int!) {
+    repository(owner: $owner, name: $name) {
+      pullRequests(states: MERGED, first: $pageSize, after: $cursor, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          databaseId
+          number
+          title
+          author { login }
+          createdAt
+          updatedAt
+          mergedAt
+          closedAt
+          baseRefName
+          headRefName
+          headRefOid
+          mergeCommit { oid }
+          additions
+          deletions
+          labels(first: 50) { nodes { name } }
+          commits(first: 100) { totalCount nodes { commit { authoredDate message } } }
+          lastCommit: commits(last: 1) { nodes { commit { authoredDate } } }
+          reviews(first: 1, states: [APPROVED, CHANGES_REQUESTED, COMMENTED, DISMISSED]) { nodes { submittedAt } }
+        }
+      }
+    }
+  }
+`;
 
 export class GitHubProvider {
-  constructor() {
-    this.baseURL = 'https://api.github.com';
-    this.token = process.env.GITHUB_TOKEN;
+  /**
+   * @param {object} [options]
+   * @param {string} [options.baseURL] - API base URL for self-hosted instances
+   * @param {HttpClient} [options.httpClient] - Shared HTTP client (rate limits, retries, ETag cache)
+   * @param {string} [options.token] - API token; defaults to GITHUB_TOKEN
+   * @param {boolean} [options.useGraphQL] - Collect PRs with batched GraphQL queries; defaults to on unless GITHUB_GRAPHQL=off
+   */
+  constructor(options = {}) {
+    this.baseURL = (options.baseURL || 'https://api.github.com').replace(/\/+$/, '');
+    this.token = 'token' in options ? options.token : process.env.GITHUB_TOKEN;
+    this.http = options.httpClient || new HttpClient({ platform: 'GitHub' });
+    this.useGraphQL = options.useGraphQL ?? process.env.GITHUB_GRAPHQL !== 'off';
   }
 
-  async getDeployments(repo, days = 30) {
+  /**
+   * GraphQL endpoint: https://api.github.com/graphql, or /api/graphql on GitHub Enterprise
+   */
+  getGraphQLUrl() {
+    return `${this.baseURL.replace(/\/v3$/, '')}/graphql`;
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.since] - Only fetch items changed since this time (incremental sync)
+   * @param {string[]} [options.knownTags] - Tags already stored; their dates are not resolved again
+   */
+  async getDeployments(repo, days = 30, options = {}) {
     const deployments = [];
-    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const since = options.since || new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    // Shared by releases and tags so the tag refs are listed once per sync
+    const tagContext = { refObjects: null, knownTags: new Set(options.knownTags || []) };
 
     try {
       // Determine deployment method
       switch (repo.deploymentMethod) {
         case 'releases':
-          const releases = await this.getReleases(repo, since);
+          const releases = await this.getReleases(repo, since, tagContext);
           deployments.push(...releases);
           break;
         
         case 'tags':
-          const tags = await this.getTags(repo, since);
+          const tags = await this.getTags(repo, since, tagContext);
           deployments.push(...tags);
           break;
         
@@ -28,76 +90,218 @@ export class GitHubProvider {
           const workflows = await this.getWorkflowRuns(repo, since);
           deployments.push(...workflows);
           break;
+
+        case 'deployments':
+          const githubDeployments = await this.getGitHubDeployments(repo, since);
+          deployments.push(...githubDeployments);
+          break;
         
         default:
           // Try releases first, then tags as fallback
-          const defaultReleases = await this.getReleases(repo, since);
+          const defaultReleases = await this.getReleases(repo, since, tagContext);
           if (defaultReleases.length > 0) {
             deployments.push(...defaultReleases);
           } else {
-            const defaultTags = await this.getTags(repo, since);
+            const defaultTags = await this.getTags(repo, since, tagContext);
             deployments.push(...defaultTags);
           }
       }
 
       return deployments;
     } catch (error) {
+      // Auth and quota failures arrive as AuthenticationError / RateLimitError from HttpClient
       if (error.response?.status === 404) {
         throw new Error(`Repository not found or not accessible: ${repo.owner}/${repo.name}`);
-      } else if (error.response?.status === 403) {
-        throw new Error('GitHub API rate limit exceeded or insufficient permissions');
       }
       throw error;
     }
   }
 
-  async getReleases(repo, since) {
+  /**
+   * Deployments created through the Deployments API (e.g. GitHub Environments).
+   * The date is when the success status was set, not when the deployment was created, and
+   * the sync window is applied to that date.
+   */
+  async getGitHubDeployments(repo, since) {
+    const url = `${this.baseURL}/repos/${repo.owner}/${repo.name}/deployments`;
+    const headers = this.token ? { Authorization: `token ${this.token}` } : {};
+
+    const sinceDate = new Date(since);
+    const createdAfter = new Date(sinceDate.getTime() - DEPLOYMENT_LOOKBACK_MS);
+
+    // Deployments are listed newest first. The window applies to the status time, so page back
+    // past `since`: a deployment created earlier can still go live inside the window.
+    const githubDeployments = await fetchAllPages(url, {
+      client: this.http,
+      headers,
+      params: { per_page: 100 },
+      isPastBoundary: deployment => new Date(deployment.created_at) < createdAfter,
+      label: `deployments for ${repo.owner}/${repo.name}`
+    });
+
+    const deployments = [];
+
+    for (const deployment of githubDeployments) {
+      if (new Date(deployment.created_at) < createdAfter) continue;
+      // updated_at moves with each new status; nothing changed inside the window
+      if (new Date(deployment.updated_at || deployment.created_at) < sinceDate) continue;
+
+      try {
+        // Statuses are listed newest first; the first one is the final state
+        const statuses = await fetchAllPages(`${url}/${deployment.id}/statuses`, {
+          client: this.http,
+          headers,
+          params: { per_page: 100 },
+          label: `statuses for deployment ${deployment.id}`
+        });
+
+        const finalStatus = statuses[0];
+        const status = this.getDeploymentStatus(finalStatus?.state);
+        if (!status) continue; // Still queued or in progress
+
+        // Superseded deployments turn "inactive" but still carry the time they went live;
+        // one that went inactive without ever succeeding never shipped
+        const successStatus = statuses.find(deploymentStatus => deploymentStatus.state === 'success');
+        if (status === 'inactive' && !successStatus) continue;
+
+        const date = successStatus?.created_at || finalStatus.created_at;
+        if (new Date(date) < sinceDate) continue;
+
+        deployments.push({
+          id: `deployment-${deployment.id}`,
+          type: 'deployment',
+          date,
+          date_source: 'deployment_status',
+          commit_sha: deployment.sha,
+          tag_name: null,
+          branch: deployment.ref,
+          status,
+          environment: deployment.environment || 'production'
+        });
+      } catch (error) {
+        if (error instanceof RateLimitError || error instanceof AuthenticationError) throw error;
+        console.warn(`Warning: Could not fetch statuses for deployment ${deployment.id}: ${error.message}`);
+      }
+    }
+
+    return deployments;
+  }
+
+  /**
+   * Map a deployment status state to success/failure/inactive, or null while it is not finished
+   */
+  getDeploymentStatus(state) {
+    switch (state) {
+      case 'success':
+        return 'success';
+      case 'failure':
+      case 'error':
+        return 'failure';
+      case 'inactive':
+        return 'inactive';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * @param {object} [tagContext] - Per-sync state shared with getTags (tag ref objects)
+   */
+  async getReleases(repo, since, tagContext = {}) {
     const url = `${this.baseURL}/repos/${repo.owner}/${repo.name}/releases`;
     const headers = this.token ? { Authorization: `token ${this.token}` } : {};
 
-    const response = await axios.get(url, { 
+    // Releases are listed newest first
+    const releases = await fetchAllPages(url, {
+      client: this.http,
       headers,
-      params: { per_page: 100 }
+      params: { per_page: 100 },
+      isPastBoundary: release => new Date(release.created_at) < new Date(since),
+      label: `releases for ${repo.owner}/${repo.name}`
     });
 
-    return response.data
-      .filter(release => new Date(release.created_at) >= new Date(since))
-      .map(release => ({
+    const recentReleases = releases.filter(release => new Date(release.created_at) >= new Date(since));
+    if (recentReleases.length === 0) return [];
+
+    // target_commitish is usually a branch name; the release's tag says which commit shipped
+    tagContext.refObjects ||= await this.getTagRefObjects(repo, headers);
+    const refObjects = tagContext.refObjects;
+    const deployments = [];
+
+    for (const release of recentReleases) {
+      let commitSha = SHA_PATTERN.test(release.target_commitish) ? release.target_commitish : null;
+      try {
+        commitSha = await this.resolveTagCommit(repo, refObjects[release.tag_name], headers) || commitSha;
+      } catch (error) {
+        if (error instanceof RateLimitError || error instanceof AuthenticationError) throw error;
+        console.warn(`Warning: Could not resolve the commit of release ${release.tag_name}: ${error.message}`);
+      }
+
+      deployments.push({
         id: `release-${release.id}`,
         type: 'release',
         date: release.created_at,
-        commit_sha: release.target_commitish,
+        date_source: 'release',
+        commit_sha: commitSha,
         tag_name: release.tag_name,
         branch: release.target_commitish,
         status: release.draft ? 'draft' : 'published',
         environment: release.prerelease ? 'pre-release' : 'production'
-      }));
+      });
+    }
+
+    return deployments;
   }
 
-  async getTags(repo, since) {
+  /**
+   * @param {object} [tagContext] - Per-sync state: tag ref objects shared with getReleases and the
+   *   names of tags already stored, which are skipped
+   */
+  async getTags(repo, since, tagContext = {}) {
     const url = `${this.baseURL}/repos/${repo.owner}/${repo.name}/tags`;
     const headers = this.token ? { Authorization: `token ${this.token}` } : {};
 
-    const response = await axios.get(url, { 
+    const tagRefs = await fetchAllPages(url, {
+      client: this.http,
       headers,
-      params: { per_page: 100 }
+      params: { per_page: 100 },
+      label: `tags for ${repo.owner}/${repo.name}`
     });
 
-    // Note: GitHub API doesn't provide tag creation date directly
-    // We'll need to get commit info for each tag to filter by date
+    // Tags are listed by name, not date; only tags not stored yet can be new deployments
+    const knownTags = tagContext.knownTags || new Set();
+    const newTags = tagRefs.filter(tag => !knownTags.has(tag.name));
+    if (newTags.length === 0) return [];
+
+    // /tags does not say whether a tag is annotated; the git refs do
+    tagContext.refObjects ||= await this.getTagRefObjects(repo, headers);
+    const refObjects = tagContext.refObjects;
+    const releaseDates = await this.getReleaseDatesByTag(repo, headers, since);
+    const { pushDates, coveredFrom } = await this.getTagPushDates(repo, headers, since);
+    // Every tag created since `coveredFrom` has a push event, so a lightweight tag without one
+    // (or a release) predates the window and needs no commit lookup
+    const eventsCoverWindow = coveredFrom !== null && new Date(coveredFrom) <= new Date(since);
+
     const tags = [];
-    
-    for (const tag of response.data.slice(0, 20)) { // Limit to avoid too many API calls
+    for (const tag of newTags) {
+      const refObject = refObjects[tag.name];
+      if (eventsCoverWindow && refObject?.type === 'commit' && !releaseDates[tag.name] && !pushDates[tag.name]) {
+        continue;
+      }
+
       try {
-        const commitUrl = `${this.baseURL}/repos/${repo.owner}/${repo.name}/commits/${tag.commit.sha}`;
-        const commitResponse = await axios.get(commitUrl, { headers });
-        const commitDate = commitResponse.data.commit.author.date;
-        
-        if (new Date(commitDate) >= new Date(since)) {
+        const { date, source } = await this.resolveTagDate(repo, tag, headers, {
+          refObject,
+          releaseDate: releaseDates[tag.name],
+          pushDate: pushDates[tag.name]
+        });
+
+        if (new Date(date) >= new Date(since)) {
           tags.push({
             id: `tag-${tag.name}`,
             type: 'tag',
-            date: commitDate,
+            date,
+            date_source: source,
             commit_sha: tag.commit.sha,
             tag_name: tag.name,
             branch: repo.branch || 'main',
@@ -106,6 +310,7 @@ export class GitHubProvider {
           });
         }
       } catch (error) {
+        if (error instanceof RateLimitError || error instanceof AuthenticationError) throw error;
         // Skip this tag if we can't get commit info
         continue;
       }
@@ -114,53 +319,278 @@ export class GitHubProvider {
     return tags;
   }
 
+  /**
+   * When a tag was created: the tagger date for annotated tags; for lightweight tags the matching
+   * release, then the push event, then the tagged commit's date
+   */
+  async resolveTagDate(repo, tag, headers, { refObject, releaseDate, pushDate }) {
+    if (refObject?.type === 'tag') {
+      const tagUrl = `${this.baseURL}/repos/${repo.owner}/${repo.name}/git/tags/${refObject.sha}`;
+      const tagResponse = await this.http.get(tagUrl, { headers });
+      if (tagResponse.data.tagger?.date) {
+        return { date: tagResponse.data.tagger.date, source: 'tagger' };
+      }
+    }
+
+    if (releaseDate) return { date: releaseDate, source: 'release' };
+    if (pushDate) return { date: pushDate, source: 'push_event' };
+
+    const commitUrl = `${this.baseURL}/repos/${repo.owner}/${repo.name}/commits/${tag.commit.sha}`;
+    const commitResponse = await this.http.get(commitUrl, { headers });
+    return { date: commitResponse.data.commit.author.date, source: 'commit' };
+  }
+
+  /**
+   * Commit a tag points at, following annotated tag objects; null when the tag does not exist yet
+   * (a draft release's tag is only created on publish)
+   */
+  async resolveTagCommit(repo, refObject, headers) {
+    let object = refObject;
+    while (object?.type === 'tag') {
+      const tagUrl = `${this.baseURL}/repos/${repo.owner}/${repo.name}/git/tags/${object.sha}`;
+      object = (await this.http.get(tagUrl, { headers })).data.object;
+    }
+    return object?.type === 'commit' ? object.sha : null;
+  }
+
+  async getTagRefObjects(repo, headers) {
+    const url = `${this.baseURL}/repos/${repo.owner}/${repo.name}/git/matching-refs/tags`;
+
+    try {
+      const refs = await fetchAllPages(url, {
+        client: this.http,
+        headers,
+        params: { per_page: 100 },
+        label: `tag refs for ${repo.owner}/${repo.name}`
+      });
+
+      return Object.fromEntries(refs.map(ref => [ref.ref.replace(/^refs\/tags\//, ''), ref.object]));
+    } catch (error) {
+      if (error instanceof RateLimitError || error instanceof AuthenticationError) throw error;
+      return {};
+    }
+  }
+
+  /**
+   * Release dates by tag name; releases created before `since` are not read, as their tags
+   * predate the window too
+   */
+  async getReleaseDatesByTag(repo, headers, since) {
+    const url = `${this.baseURL}/repos/${repo.owner}/${repo.name}/releases`;
+
+    try {
+      const releases = await fetchAllPages(url, {
+        client: this.http,
+        headers,
+        params: { per_page: 100 },
+        isPastBoundary: release => new Date(release.created_at) < new Date(since),
+        label: `releases for ${repo.owner}/${repo.name}`
+      });
+
+      return Object.fromEntries(
+        releases
+          .filter(release => !release.draft)
+          .map(release => [release.tag_name, release.published_at || release.created_at])
+      );
+    } catch (error) {
+      if (error instanceof RateLimitError || error instanceof AuthenticationError) throw error;
+      return {};
+    }
+  }
+
+  /**
+   * Tag creation times from the repository event feed (GitHub keeps the last 300 events / 90 days),
+   * read back to `since`. `coveredFrom` is the oldest event read: every tag pushed after it is in
+   * `pushDates`. null when nothing could be read.
+   */
+  async getTagPushDates(repo, headers, since) {
+    const url = `${this.baseURL}/repos/${repo.owner}/${repo.name}/events`;
+
+    try {
+      const events = await fetchAllPages(url, {
+        client: this.http,
+        headers,
+        params: { per_page: 100 },
+        // The feed ends after 300 events whatever MAX_PAGES says; coveredFrom reports how far it reached
+        maxPages: 3,
+        warnAtMaxPages: false,
+        isPastBoundary: event => new Date(event.created_at) < new Date(since),
+        label: `events for ${repo.owner}/${repo.name}`
+      });
+
+      const pushDates = {};
+      for (const event of events) {
+        let tagName = null;
+        if (event.type === 'CreateEvent' && event.payload?.ref_type === 'tag') {
+          tagName = event.payload.ref;
+        } else if (event.type === 'PushEvent' && event.payload?.ref?.startsWith('refs/tags/')) {
+          tagName = event.payload.ref.replace(/^refs\/tags\//, '');
+        }
+        // Events are newest first; keep the earliest push of each tag
+        if (tagName) pushDates[tagName] = event.created_at;
+      }
+
+      const coveredFrom = events.length > 0 ? events[events.length - 1].created_at : null;
+      return { pushDates, coveredFrom };
+    } catch (error) {
+      if (error instanceof RateLimitError || error instanceof AuthenticationError) throw error;
+      return { pushDates: {}, coveredFrom: null };
+    }
+  }
+
   async getWorkflowRuns(repo, since) {
     const url = `${this.baseURL}/repos/${repo.owner}/${repo.name}/actions/runs`;
     const headers = this.token ? { Authorization: `token ${this.token}` } : {};
 
-    const response = await axios.get(url, { 
+    const runs = await fetchAllPages(url, {
+      client: this.http,
       headers,
       params: { 
         per_page: 100,
         status: 'completed',
         event: 'push',
-        branch: repo.branch || 'main'
-      }
+        branch: repo.branch || 'main',
+        created: `>=${since.slice(0, 10)}`
+      },
+      getItems: data => data.workflow_runs,
+      isPastBoundary: run => new Date(run.created_at) < new Date(since),
+      label: `workflow runs for ${repo.owner}/${repo.name}`
     });
 
-    return response.data.workflow_runs
+    // Failed runs are kept so they count towards the change failure rate
+    const failedConclusions = ['failure', 'timed_out', 'startup_failure'];
+
+    return runs
       .filter(run => new Date(run.created_at) >= new Date(since))
-      .filter(run => run.conclusion === 'success') // Only successful deployments
+      .filter(run => run.conclusion === 'success' || failedConclusions.includes(run.conclusion))
       .map(run => ({
         id: `workflow-${run.id}`,
         type: 'workflow',
         date: run.created_at,
+        date_source: 'workflow_run',
         commit_sha: run.head_sha,
         tag_name: null,
         branch: run.head_branch,
-        status: run.conclusion,
+        status: run.conclusion === 'success' ? 'success' : 'failure',
         environment: run.head_branch === (repo.branch || 'main') ? 'production' : 'staging'
       }));
   }
 
-  async getPullRequests(repo, days = 30) {
-    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  /**
+   * @param {object} [options]
+   * @param {string} [options.since] - Only fetch items changed since this time (incremental sync)
+   */
+  async getPullRequests(repo, days = 30, options = {}) {
+    const since = options.since || new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    // GraphQL needs a token; anonymous access only works over REST
+    if (this.useGraphQL && this.token) {
+      return this.getPullRequestsGraphQL(repo, since);
+    }
+    return this.getPullRequestsRest(repo, since);
+  }
+
+  /**
+   * Merged PRs with sizes, commits, first review and labels in batches of GRAPHQL_PAGE_SIZE,
+   * instead of two REST calls per PR
+   */
+  async getPullRequestsGraphQL(repo, since) {
+    const headers = { Authorization: `bearer ${this.token}` };
+    const pullRequests = [];
+    let cursor = null;
+
+    for (let page = 0; ; page++) {
+      if (page >= DEFAULT_MAX_PAGES) {
+        console.warn(`Warning: Stopped after ${DEFAULT_MAX_PAGES} pages of pull requests for ${repo.owner}/${repo.name}; results may be incomplete (raise MAX_PAGES to fetch more)`);
+        break;
+      }
+
+      const response = await this.http.post(this.getGraphQLUrl(), {
+        query: PULL_REQUESTS_QUERY,
+        variables: { owner: repo.owner, name: repo.name, cursor, pageSize: GRAPHQL_PAGE_SIZE }
+      }, { headers });
+
+      const { data, errors } = response.data;
+      if (errors?.length) {
+        if (errors.some(error => error.type === 'RATE_LIMITED')) {
+          throw new RateLimitError(`GitHub GraphQL rate limit exceeded: ${errors[0].message}`, { response });
+        }
+        if (errors.some(error => error.type === 'NOT_FOUND')) {
+          throw new Error(`Repository not found or not accessible: ${repo.owner}/${repo.name}`);
+        }
+        throw new Error(`GitHub GraphQL query failed: ${errors.map(error => error.message).join('; ')}`);
+      }
+
+      const connection = data.repository.pullRequests;
+      for (const node of connection.nodes) {
+        if (node.mergedAt && new Date(node.mergedAt) >= new Date(since)) {
+          pullRequests.push(this.mapGraphQLPullRequest(node));
+        }
+      }
+
+      // Sorted by last update: once a PR was last updated before the window, so were all later ones
+      const pastBoundary = connection.nodes.some(node => new Date(node.updatedAt) < new Date(since));
+      if (pastBoundary || !connection.pageInfo.hasNextPage) break;
+      cursor = connection.pageInfo.endCursor;
+    }
+
+    return pullRequests;
+  }
+
+  /**
+   * Convert a GraphQL PR node into the record shape the REST path produces
+   */
+  mapGraphQLPullRequest(node) {
+    const commits = node.commits.nodes.map(({ commit }) => commit);
+    const firstCommit = commits[0];
+    const lastCommit = node.lastCommit.nodes[0]?.commit;
+
+    return {
+      pr_number: node.number,
+      pr_id: `github-pr-${node.databaseId}`,
+      title: node.title,
+      author: node.author?.login || 'unknown',
+      created_at_pr: node.createdAt,
+      merged_at: node.mergedAt,
+      closed_at: node.closedAt,
+      first_commit_at: firstCommit?.authoredDate || node.createdAt,
+      last_commit_at: lastCommit?.authoredDate || node.createdAt,
+      base_branch: node.baseRefName || 'main',
+      head_branch: node.headRefName || 'unknown',
+      head_sha: node.headRefOid,
+      merge_sha: node.mergeCommit?.oid,
+      state: 'closed',
+      is_merged: true,
+      lines_added: node.additions || 0,
+      lines_deleted: node.deletions || 0,
+      commits_count: node.commits.totalCount,
+      labels: node.labels.nodes.map(label => label.name),
+      is_revert: this.isRevert(node.title, commits.map(commit => commit.message)),
+      first_review_at: node.reviews.nodes[0]?.submittedAt || null
+    };
+  }
+
+  async getPullRequestsRest(repo, since) {
     const url = `${this.baseURL}/repos/${repo.owner}/${repo.name}/pulls`;
     const headers = this.token ? { Authorization: `token ${this.token}` } : {};
 
-    const response = await axios.get(url, { 
+    // Sorted by last update: once a PR was last updated before the window, so were all later ones
+    const closedPullRequests = await fetchAllPages(url, {
+      client: this.http,
       headers,
       params: { 
         state: 'closed',
         sort: 'updated',
         direction: 'desc',
         per_page: 100
-      }
+      },
+      isPastBoundary: pr => new Date(pr.updated_at) < new Date(since),
+      label: `pull requests for ${repo.owner}/${repo.name}`
     });
 
     const pullRequests = [];
 
-    for (const pr of response.data) {
+    for (const pr of closedPullRequests) {
       // Skip if not merged or outside date range
       if (!pr.merged_at || new Date(pr.merged_at) < new Date(since)) {
         continue;
@@ -169,13 +599,17 @@ export class GitHubProvider {
       try {
         // Get detailed PR info including commits
         const prDetailUrl = `${this.baseURL}/repos/${repo.owner}/${repo.name}/pulls/${pr.number}`;
-        const prDetail = await axios.get(prDetailUrl, { headers });
+        const prDetail = await this.http.get(prDetailUrl, { headers });
 
         // Get commits for this PR to find first commit date
         const commitsUrl = `${this.baseURL}/repos/${repo.owner}/${repo.name}/pulls/${pr.number}/commits`;
-        const commitsResponse = await axios.get(commitsUrl, { headers });
-        
-        const commits = commitsResponse.data;
+        const commits = await fetchAllPages(commitsUrl, {
+          client: this.http,
+          headers,
+          params: { per_page: 100 },
+          label: `commits for PR #${pr.number}`
+        });
+
         const firstCommit = commits[0];
         const lastCommit = commits[commits.length - 1];
 
@@ -197,13 +631,14 @@ export class GitHubProvider {
           is_merged: !!pr.merged_at,
           lines_added: prDetail.data.additions || 0,
           lines_deleted: prDetail.data.deletions || 0,
-          commits_count: prDetail.data.commits || commits.length
+          commits_count: prDetail.data.commits || commits.length,
+          labels: (pr.labels || []).map(label => label.name),
+          is_revert: this.isRevert(pr.title, commits.map(commit => commit.commit?.message))
         });
 
-        // Rate limiting protection
-        await new Promise(resolve => setTimeout(resolve, 100));
-
       } catch (error) {
+        // Quota and auth failures affect every remaining request; stop instead of degrading
+        if (error instanceof RateLimitError || error instanceof AuthenticationError) throw error;
         console.warn(`Warning: Could not fetch details for PR #${pr.number}: ${error.message}`);
         // Add PR with basic info only
         pullRequests.push({
@@ -224,11 +659,68 @@ export class GitHubProvider {
           is_merged: !!pr.merged_at,
           lines_added: 0,
           lines_deleted: 0,
-          commits_count: 0
+          commits_count: 0,
+          labels: (pr.labels || []).map(label => label.name),
+          is_revert: this.isRevert(pr.title)
         });
       }
     }
 
     return pullRequests;
   }
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.since] - Only fetch incidents updated since this time (incremental sync)
+   */
+  async getIncidents(repo, days = 30, label = 'incident', options = {}) {
+    const windowStart = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const since = options.since || windowStart;
+    const url = `${this.baseURL}/repos/${repo.owner}/${repo.name}/issues`;
+    const headers = this.token ? { Authorization: `token ${this.token}` } : {};
+
+    const issues = await fetchAllPages(url, {
+      client: this.http,
+      headers,
+      params: { 
+        labels: label,
+        state: 'all',
+        since,
+        per_page: 100
+      },
+      label: `incident issues for ${repo.owner}/${repo.name}`
+    });
+
+    return issues
+      .filter(issue => !issue.pull_request) // The issues API also returns pull requests
+      .filter(issue => new Date(issue.created_at) >= new Date(windowStart))
+      .map(issue => ({
+        incident_id: `github-issue-${issue.id}`,
+        issue_number: issue.number,
+        title: issue.title,
+        state: issue.state,
+        labels: (issue.labels || []).map(issueLabel => issueLabel.name),
+        url: issue.html_url,
+        opened_at: issue.created_at,
+        resolved_at: issue.closed_at
+      }));
+  }
+
+  /**
+   * Whether ancestorSha is contained in the history of descendantSha (compare API)
+   */
+  async isAncestor(repo, ancestorSha, descendantSha) {
+    const url = `${this.baseURL}/repos/${repo.owner}/${repo.name}/compare/${ancestorSha}...${descendantSha}`;
+    const headers = this.token ? { Authorization: `token ${this.token}` } : {};
+
+    const response = await this.http.get(url, { headers, params: { per_page: 1 } });
+    return ['ahead', 'identical'].includes(response.data.status);
+  }
+
+  /**
+   * A PR is a revert when its title or any of its commits starts with "Revert"
+   */
+  isRevert(title, commitMessages = []) {
+    return [title, ...commitMessages].some(message => /^Revert\b/i.test(message || ''));
+  }
 }
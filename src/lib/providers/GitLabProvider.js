@@ -1,14 +1,27 @@
-import axios from 'axios';
+import { fetchAllPages } from './pagination.js';
+import { HttpClient, RateLimitError, AuthenticationError } from './HttpClient.js';
 
 export class GitLabProvider {
-  constructor() {
-    this.baseURL = 'https://gitlab.com/api/v4';
-    this.token = process.env.GITLAB_TOKEN;
+  /**
+   * @param {object} [options]
+   * @param {string} [options.baseURL] - API base URL for self-hosted instances
+   * @param {HttpClient} [options.httpClient] - Shared HTTP client (rate limits, retries, ETag cache)
+   * @param {string} [options.token] - API token; defaults to GITLAB_TOKEN
+   */
+  constructor(options = {}) {
+    this.baseURL = (options.baseURL || 'https://gitlab.com/api/v4').replace(/\/+$/, '');
+    this.token = 'token' in options ? options.token : process.env.GITLAB_TOKEN;
+    this.http = options.httpClient || new HttpClient({ platform: 'GitLab' });
+    this.projectIds = {};
   }
 
-  async getDeployments(repo, days = 30) {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.since] - Only fetch items changed since this time (incremental sync)
+   */
+  async getDeployments(repo, days = 30, options = {}) {
     const deployments = [];
-    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const since = options.since || new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
 
     try {
       // Get project ID first
@@ -27,7 +40,7 @@ export class GitLabProvider {
         
         case 'pipeline':
         case 'pipelines':
-          const pipelines = await this.getPipelines(projectId, since);
+          const pipelines = await this.getPipelines(projectId, since, repo.branch);
           deployments.push(...pipelines);
           break;
         
@@ -44,10 +57,9 @@ export class GitLabProvider {
 
       return deployments;
     } catch (error) {
+      // Auth and quota failures arrive as AuthenticationError / RateLimitError from HttpClient
       if (error.response?.status === 404) {
         throw new Error(`Repository not found or not accessible: ${repo.owner}/${repo.name}`);
-      } else if (error.response?.status === 403) {
-        throw new Error('GitLab API access denied or insufficient permissions');
       }
       throw error;
     }
@@ -55,11 +67,14 @@ export class GitLabProvider {
 
   async getProjectId(repo) {
     const projectPath = `${repo.owner}/${repo.name}`;
+    if (this.projectIds[projectPath]) return this.projectIds[projectPath];
+
     const encodedPath = encodeURIComponent(projectPath);
     const url = `${this.baseURL}/projects/${encodedPath}`;
     const headers = this.token ? { 'Private-Token': this.token } : {};
 
-    const response = await axios.get(url, { headers });
+    const response = await this.http.get(url, { headers });
+    this.projectIds[projectPath] = response.data.id;
     return response.data.id;
   }
 
@@ -67,44 +82,78 @@ export class GitLabProvider {
     const url = `${this.baseURL}/projects/${projectId}/deployments`;
     const headers = this.token ? { 'Private-Token': this.token } : {};
 
-    const response = await axios.get(url, { 
+    const deployments = await fetchAllPages(url, {
+      client: this.http,
       headers,
       params: { 
         per_page: 100,
         order_by: 'created_at',
         sort: 'desc'
-      }
+      },
+      isPastBoundary: deployment => new Date(deployment.created_at) < new Date(since),
+      label: `deployments for project ${projectId}`
     });
 
-    return response.data
+    return deployments
       .filter(deployment => new Date(deployment.created_at) >= new Date(since))
+      .filter(deployment => this.getDeploymentStatus(deployment.status))
       .map(deployment => ({
         id: `deployment-${deployment.id}`,
         type: 'deployment',
         date: deployment.created_at,
+        date_source: 'deployment',
         commit_sha: deployment.sha,
         tag_name: deployment.tag,
         branch: deployment.ref,
-        status: deployment.status,
+        status: this.getDeploymentStatus(deployment.status),
         environment: deployment.environment.name
       }));
   }
 
+  /**
+   * Map a deployment status to success/failed, or null while it is not finished (created, running, blocked)
+   */
+  getDeploymentStatus(status) {
+    switch (status) {
+      case 'success':
+        return 'success';
+      case 'failed':
+        return 'failed';
+      case 'canceled':
+        // Stopped before it shipped: neither a deployment nor a failed change
+        return null;
+      default:
+        return null;
+    }
+  }
+
   async getReleases(projectId, since) {
     const url = `${this.baseURL}/projects/${projectId}/releases`;
     const headers = this.token ? { 'Private-Token': this.token } : {};
 
-    const response = await axios.get(url, { 
+    // released_at is when the release shipped (created_at for releases without one); it orders
+    // the list, bounds the paging and dates the deployment
+    const releasedAt = release => release.released_at || release.created_at;
+    const releases = await fetchAllPages(url, {
+      client: this.http,
       headers,
-      params: { per_page: 100 }
+      params: {
+        per_page: 100,
+        order_by: 'released_at',
+        sort: 'desc'
+      },
+      isPastBoundary: release => new Date(releasedAt(release)) < new Date(since),
+      label: `releases for project ${projectId}`
     });
 
-    return response.data
-      .filter(release => new Date(release.created_at) >= new Date(since))
+    return releases
+      .filter(release => new Date(releasedAt(release)) >= new Date(since))
+      .filter(release => !release.upcoming_release) // Scheduled for a future released_at
       .map(release => ({
         id: `release-${release.tag_name}`,
         type: 'release',
-        date: release.created_at,
+        date: releasedAt(release),
+        date_source: 'release',
         commit_sha: release.commit ? release.commit.id : null,
         tag_name: release.tag_name,
         branch: 'main', // GitLab releases don't specify branch
@@ -117,82 +166,168 @@ export class GitLabProvider {
     const url = `${this.baseURL}/projects/${projectId}/repository/tags`;
     const headers = this.token ? { 'Private-Token': this.token } : {};
 
-    const response = await axios.get(url, { 
+    // Tags can only be sorted by name or commit date, and an old commit can be tagged today, so
+    // there is no page boundary: every tag is read
+    const tagRefs = await fetchAllPages(url, {
+      client: this.http,
       headers,
-      params: { per_page: 100 }
+      params: { per_page: 100 },
+      label: `tags for project ${projectId}`
     });
 
-    // Filter tags by commit date (approximate)
+    const lightweightTags = tagRefs.some(tag => !tag.created_at);
+    const releaseDates = lightweightTags ? await this.getReleaseDatesByTag(projectId, headers) : {};
+    const pushDates = lightweightTags ? await this.getTagPushDates(projectId, since, headers) : {};
+
     const tags = [];
-    for (const tag of response.data.slice(0, 20)) {
-      if (tag.commit && tag.commit.created_at) {
-        if (new Date(tag.commit.created_at) >= new Date(since)) {
-          tags.push({
-            id: `tag-${tag.name}`,
-            type: 'tag',
-            date: tag.commit.created_at,
-            commit_sha: tag.commit.id,
-            tag_name: tag.name,
-            branch: 'main',
-            status: 'success',
-            environment: 'production'
-          });
-        }
+    for (const tag of tagRefs) {
+      if (!tag.commit?.created_at) continue;
+
+      const { date, source } = this.resolveTagDate(tag, releaseDates[tag.name], pushDates[tag.name]);
+      if (new Date(date) >= new Date(since)) {
+        tags.push({
+          id: `tag-${tag.name}`,
+          type: 'tag',
+          date,
+          date_source: source,
+          commit_sha: tag.commit.id,
+          tag_name: tag.name,
+          branch: 'main',
+          status: 'success',
+          environment: 'production'
+        });
       }
     }
 
     return tags;
   }
 
-  async getPipelines(projectId, since) {
+  /**
+   * When a tag was created: annotated tags carry created_at (the tagger date); lightweight tags
+   * fall back to the matching release, then the push event, then the tagged commit's date
+   */
+  resolveTagDate(tag, releaseDate, pushDate) {
+    if (tag.created_at) return { date: tag.created_at, source: 'tagger' };
+    if (releaseDate) return { date: releaseDate, source: 'release' };
+    if (pushDate) return { date: pushDate, source: 'push_event' };
+    return { date: tag.commit.created_at, source: 'commit' };
+  }
+
+  async getReleaseDatesByTag(projectId, headers) {
+    const url = `${this.baseURL}/projects/${projectId}/releases`;
+
+    try {
+      const releases = await fetchAllPages(url, {
+        client: this.http,
+        headers,
+        params: { per_page: 100 },
+        label: `releases for project ${projectId}`
+      });
+
+      return Object.fromEntries(releases.map(release => [release.tag_name, release.released_at || release.created_at]));
+    } catch (error) {
+      if (error instanceof RateLimitError || error instanceof AuthenticationError) throw error;
+      return {};
+    }
+  }
+
+  async getTagPushDates(projectId, since, headers) {
+    const url = `${this.baseURL}/projects/${projectId}/events`;
+
+    try {
+      const events = await fetchAllPages(url, {
+        client: this.http,
+        headers,
+        params: {
+          per_page: 100,
+          action: 'pushed',
+          after: since.slice(0, 10)
+        },
+        label: `push events for project ${projectId}`
+      });
+
+      const pushDates = {};
+      for (const event of events) {
+        const push = event.push_data;
+        // Events are newest first; keep the earliest push of each tag
+        if (push?.ref_type === 'tag' && push.action === 'created') {
+          pushDates[push.ref] = event.created_at;
+        }
+      }
+
+      return pushDates;
+    } catch (error) {
+      if (error instanceof RateLimitError || error instanceof AuthenticationError) throw error;
+      return {};
+    }
+  }
+
+  /**
+   * Pipelines on the deployment branch (`branch`, or main/master when it is not configured)
+   */
+  async getPipelines(projectId, since, branch = null) {
     const url = `${this.baseURL}/projects/${projectId}/pipelines`;
     const headers = this.token ? { 'Private-Token': this.token } : {};
 
-    const response = await axios.get(url, { 
+    const pipelines = await fetchAllPages(url, {
+      client: this.http,
       headers,
       params: { 
         per_page: 100,
-        status: 'success',
+        updated_after: since,
         order_by: 'updated_at',
         sort: 'desc'
-      }
+      },
+      isPastBoundary: pipeline => new Date(pipeline.updated_at) < new Date(since),
+      label: `pipelines for project ${projectId}`
     });
 
-    return response.data
+    // Failed pipelines are kept so they count towards the change failure rate
+    return pipelines
       .filter(pipeline => new Date(pipeline.created_at) >= new Date(since))
-      .filter(pipeline => pipeline.ref === 'main' || pipeline.ref === 'master') // Only main branch
+      .filter(pipeline => pipeline.status === 'success' || pipeline.status === 'failed')
+      .filter(pipeline => (branch ? [branch] : ['main', 'master']).includes(pipeline.ref))
       .map(pipeline => ({
         id: `pipeline-${pipeline.id}`,
         type: 'pipeline',
         date: pipeline.created_at,
+        date_source: 'pipeline',
         commit_sha: pipeline.sha,
         tag_name: null,
         branch: pipeline.ref,
         status: pipeline.status,
-        environment: pipeline.ref === 'main' ? 'production' : 'staging'
+        environment: 'production'
       }));
   }
 
-  async getPullRequests(repo, days = 30) {
-    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  /**
+   * @param {object} [options]
+   * @param {string} [options.since] - Only fetch items changed since this time (incremental sync)
+   */
+  async getPullRequests(repo, days = 30, options = {}) {
+    const since = options.since || new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
     const projectId = await this.getProjectId(repo);
     
     const url = `${this.baseURL}/projects/${projectId}/merge_requests`;
     const headers = this.token ? { 'Private-Token': this.token } : {};
 
-    const response = await axios.get(url, { 
+    const mergeRequests = await fetchAllPages(url, {
+      client: this.http,
       headers,
       params: { 
         state: 'merged',
+        updated_after: since,
         order_by: 'updated_at',
         sort: 'desc',
         per_page: 100
-      }
+      },
+      isPastBoundary: mr => new Date(mr.updated_at) < new Date(since),
+      label: `merge requests for project ${projectId}`
     });
 
     const pullRequests = [];
 
-    for (const mr of response.data) {
+    for (const mr of mergeRequests) {
       // Skip if outside date range
       if (!mr.merged_at || new Date(mr.merged_at) < new Date(since)) {
         continue;
@@ -201,15 +336,19 @@ export class GitLabProvider {
       try {
         // Get commits for this MR to find first commit date
         const commitsUrl = `${this.baseURL}/projects/${projectId}/merge_requests/${mr.iid}/commits`;
-        const commitsResponse = await axios.get(commitsUrl, { headers });
-        
-        const commits = commitsResponse.data;
+        const commits = await fetchAllPages(commitsUrl, {
+          client: this.http,
+          headers,
+          params: { per_page: 100 },
+          label: `commits for MR !${mr.iid}`
+        });
+
         const firstCommit = commits[commits.length - 1]; // GitLab returns commits in reverse order
         const lastCommit = commits[0];
 
         // Get MR changes for lines added/deleted
         const changesUrl = `${this.baseURL}/projects/${projectId}/merge_requests/${mr.iid}/changes`;
-        const changesResponse = await axios.get(changesUrl, { headers });
+        const changesResponse = await this.http.get(changesUrl, { headers });
         
         let linesAdded = 0;
         let linesDeleted = 0;
@@ -241,13 +380,14 @@ export class GitLabProvider {
           is_merged: mr.state === 'merged',
           lines_added: linesAdded,
           lines_deleted: linesDeleted,
-          commits_count: commits.length
+          commits_count: commits.length,
+          labels: mr.labels || [],
+          is_revert: this.isRevert(mr.title, commits.map(commit => commit.message))
         });
 
-        // Rate limiting protection
-        await new Promise(resolve => setTimeout(resolve, 100));
-
       } catch (error) {
+        // Quota and auth failures affect every remaining request; stop instead of degrading
+        if (error instanceof RateLimitError || error instanceof AuthenticationError) throw error;
         console.warn(`Warning: Could not fetch details for MR !${mr.iid}: ${error.message}`);
         // Add MR with basic info only
         pullRequests.push({
@@ -268,11 +408,71 @@ export class GitLabProvider {
           is_merged: mr.state === 'merged',
           lines_added: 0,
           lines_deleted: 0,
-          commits_count: 0
+          commits_count: 0,
+          labels: mr.labels || [],
+          is_revert: this.isRevert(mr.title)
         });
       }
     }
 
     return pullRequests;
   }
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.since] - Only fetch incidents updated since this time (incremental sync)
+   */
+  async getIncidents(repo, days = 30, label = 'incident', options = {}) {
+    const windowStart = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const since = options.since || windowStart;
+    const projectId = await this.getProjectId(repo);
+
+    const url = `${this.baseURL}/projects/${projectId}/issues`;
+    const headers = this.token ? { 'Private-Token': this.token } : {};
+
+    const issues = await fetchAllPages(url, {
+      client: this.http,
+      headers,
+      params: { 
+        labels: label,
+        scope: 'all',
+        created_after: windowStart,
+        updated_after: since,
+        order_by: 'created_at',
+        sort: 'desc',
+        per_page: 100
+      },
+      label: `incident issues for project ${projectId}`
+    });
+
+    return issues.map(issue => ({
+      incident_id: `gitlab-issue-${issue.id}`,
+      issue_number: issue.iid,
+      title: issue.title,
+      state: issue.state,
+      labels: issue.labels || [],
+      url: issue.web_url,
+      opened_at: issue.created_at,
+      resolved_at: issue.closed_at
+    }));
+  }
+
+  /**
+   * Whether ancestorSha is contained in the history of descendantSha (merge base API)
+   */
+  async isAncestor(repo, ancestorSha, descendantSha) {
+    const projectId = await this.getProjectId(repo);
+    const url = `${this.baseURL}/projects/${projectId}/repository/merge_base`;
+    const headers = this.token ? { 'Private-Token': this.token } : {};
+
+    const response = await this.http.get(url, { headers, params: { refs: [ancestorSha, descendantSha] } });
+    return response.data.id === ancestorSha;
+  }
+
+  /**
+   * An MR is a revert when its title or any of its commits starts with "Revert"
+   */
+  isRevert(title, commitMessages = []) {
+    return [title, ...commitMessages].some(message => /^Revert\b/i.test(message || ''));
+  }
 }
@@ -0,0 +1,273 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CACHE_DIR = path.join(__dirname, '../../../data/http-cache');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Query parameters that move with the collection window: a response keyed on one is never asked
+// for again, so caching it would only grow the cache
+const WINDOW_PARAMS = ['since', 'until', 'after', 'before', 'created', 'updated', 'created_after', 'created_before', 'updated_after', 'updated_before'];
+
+// Cache directories already pruned by this process
+const prunedCacheDirs = new Set();
+
+export class RateLimitError extends Error {
+  constructor(message, { resetAt = null, response = null } = {}) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.resetAt = resetAt;
+    this.response = response;
+  }
+}
+
+export class AuthenticationError extends Error {
+  constructor(message, { response = null } = {}) {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.response = response;
+  }
+}
+
+/**
+ * Shared HTTP layer for the API providers.
+ * - Waits for rate limit resets (X-RateLimit-*, RateLimit-*, Retry-After) instead of failing
+ * - Retries 5xx and network errors with exponential backoff
+ * - Sends conditional requests (ETag / Last-Modified) so unchanged resources are served from disk;
+ *   GitHub does not count 304 responses against the quota. Requests bounded by a time window are
+ *   not cached, and entries unused for HTTP_CACHE_MAX_AGE_DAYS are deleted on the first write.
+ * - Throws AuthenticationError or RateLimitError so callers can tell the two apart
+ */
+export class HttpClient {
+  constructor(options = {}) {
+    this.platform = options.platform || 'API';
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.maxRateLimitWaitMs = options.maxRateLimitWaitMs ?? (parseInt(process.env.RATE_LIMIT_MAX_WAIT_SECONDS) || 900) * 1000;
+    this.cacheDir = options.cacheDir === undefined
+      ? (process.env.HTTP_CACHE === 'off' ? null : CACHE_DIR)
+      : options.cacheDir;
+    this.cacheMaxAgeMs = (options.cacheMaxAgeDays ?? (parseInt(process.env.HTTP_CACHE_MAX_AGE_DAYS) || 30)) * DAY_MS;
+    this.rateLimitResetAt = null;
+  }
+
+  async get(url, { headers = {}, params } = {}) {
+    const cacheKey = this.isCacheable(url, params) ? this.getCacheKey(url, params, headers) : null;
+    const cached = await this.readCache(cacheKey);
+    const requestHeaders = { ...headers };
+    if (cached?.etag) requestHeaders['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) requestHeaders['If-Modified-Since'] = cached.lastModified;
+
+    const response = await this.request({ method: 'get', url, headers: requestHeaders, params });
+
+    if (response.status === 304 && cached) {
+      await this.touchCache(cacheKey);
+      return { status: 200, data: cached.data, headers: { ...response.headers, link: cached.link }, fromCache: true };
+    }
+
+    await this.writeCache(cacheKey, response);
+    return response;
+  }
+
+  /**
+   * POST with the same rate limit handling and retries as get(); responses are never cached
+   */
+  async post(url, data, { headers = {} } = {}) {
+    return this.request({ method: 'post', url, headers, data });
+  }
+
+  async request(config) {
+    await this.waitForRateLimitReset();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.request({
+          ...config,
+          validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+
+        this.trackRateLimit(response.headers);
+        return response;
+
+      } catch (error) {
+        const response = error.response;
+        if (response) this.trackRateLimit(response.headers);
+
+        const rateLimitWaitMs = this.getRateLimitWaitMs(response);
+        if (rateLimitWaitMs !== null) {
+          if (rateLimitWaitMs > this.maxRateLimitWaitMs || attempt >= this.maxRetries) {
+            const resetAt = new Date(Date.now() + rateLimitWaitMs);
+            throw new RateLimitError(
+              `${this.platform} API rate limit exceeded; quota resets at ${resetAt.toISOString()}`,
+              { resetAt, response }
+            );
+          }
+          console.warn(`Warning: ${this.platform} API rate limit reached, waiting ${Math.ceil(rateLimitWaitMs / 1000)}s for reset...`);
+          await this.sleep(rateLimitWaitMs);
+          continue;
+        }
+
+        if (response?.status === 401) {
+          throw new AuthenticationError(`${this.platform} API authentication failed: check that the token is set and valid`, { response });
+        }
+        if (response?.status === 403) {
+          throw new AuthenticationError(`${this.platform} API access denied: the token lacks permission for ${config.url}`, { response });
+        }
+
+        if (this.isRetryable(error) && attempt < this.maxRetries) {
+          const delayMs = this.retryDelayMs * Math.pow(2, attempt) + Math.floor(Math.random() * 250);
+          console.warn(`Warning: ${this.platform} request failed (${response?.status || error.code}), retrying in ${Math.round(delayMs / 1000)}s...`);
+          await this.sleep(delayMs);
+          continue;
+        }
+
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Milliseconds to wait before retrying, or null when the response is not a rate limit
+   */
+  getRateLimitWaitMs(response) {
+    if (!response || ![403, 429].includes(response.status)) return null;
+
+    const headers = response.headers || {};
+    const retryAfter = headers['retry-after'];
+    if (retryAfter !== undefined) {
+      const seconds = parseInt(retryAfter);
+      return Number.isNaN(seconds) ? Math.max(0, new Date(retryAfter) - Date.now()) : seconds * 1000;
+    }
+
+    const remaining = headers['x-ratelimit-remaining'] ?? headers['ratelimit-remaining'];
+    const reset = headers['x-ratelimit-reset'] ?? headers['ratelimit-reset'];
+    if (remaining !== undefined && parseInt(remaining) === 0 && reset !== undefined) {
+      return Math.max(0, parseInt(reset) * 1000 - Date.now()) + 1000;
+    }
+
+    // 429 without hints (e.g. Bitbucket): back off like a server error
+    if (response.status === 429) {
+      return this.retryDelayMs * 5;
+    }
+
+    return null;
+  }
+
+  /**
+   * Remember when the quota resets once it is exhausted, so the next request waits first
+   */
+  trackRateLimit(headers = {}) {
+    const remaining = headers['x-ratelimit-remaining'] ?? headers['ratelimit-remaining'];
+    const reset = headers['x-ratelimit-reset'] ?? headers['ratelimit-reset'];
+
+    if (remaining !== undefined && parseInt(remaining) === 0 && reset !== undefined) {
+      this.rateLimitResetAt = parseInt(reset) * 1000;
+    } else if (remaining !== undefined) {
+      this.rateLimitResetAt = null;
+    }
+  }
+
+  async waitForRateLimitReset() {
+    if (!this.rateLimitResetAt) return;
+
+    const waitMs = this.rateLimitResetAt - Date.now() + 1000;
+    this.rateLimitResetAt = null;
+    if (waitMs <= 0) return;
+
+    if (waitMs > this.maxRateLimitWaitMs) {
+      throw new RateLimitError(
+        `${this.platform} API rate limit exhausted; quota resets at ${new Date(Date.now() + waitMs).toISOString()}`,
+        { resetAt: new Date(Date.now() + waitMs) }
+      );
+    }
+
+    console.warn(`Warning: ${this.platform} API quota exhausted, waiting ${Math.ceil(waitMs / 1000)}s for reset...`);
+    await this.sleep(waitMs);
+  }
+
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (status) return status >= 500;
+    return ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'].includes(error.code);
+  }
+
+  /**
+   * False for requests bounded by a time window, whether the bound is in `params` or, on
+   * follow-up pages, already in the URL
+   */
+  isCacheable(url, params = {}) {
+    const names = [...Object.keys(params || {}), ...new URL(url).searchParams.keys()];
+    return !names.some(name => WINDOW_PARAMS.includes(name));
+  }
+
+  getCacheKey(url, params = {}, headers = {}) {
+    const sortedParams = Object.keys(params || {}).sort().map(key => [key, params[key]]);
+    // Different tokens may see different data
+    const auth = headers.Authorization || headers['Private-Token'] || '';
+    return crypto
+      .createHash('sha1')
+      .update(JSON.stringify([url, sortedParams, auth]))
+      .digest('hex');
+  }
+
+  async readCache(cacheKey) {
+    if (!this.cacheDir || !cacheKey) return null;
+
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.cacheDir, `${cacheKey}.json`), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async writeCache(cacheKey, response) {
+    const etag = response.headers?.etag;
+    const lastModified = response.headers?.['last-modified'];
+    if (!this.cacheDir || !cacheKey || (!etag && !lastModified)) return;
+
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      await this.pruneCache();
+      await fs.writeFile(path.join(this.cacheDir, `${cacheKey}.json`), JSON.stringify({
+        etag,
+        lastModified,
+        link: response.headers.link,
+        data: response.data
+      }));
+    } catch (error) {
+      // The cache is an optimization; never fail a request because of it
+    }
+  }
+
+  /**
+   * Mark an entry as used, so pruning keeps entries that are still revalidated
+   */
+  async touchCache(cacheKey) {
+    const now = new Date();
+    await fs.utimes(path.join(this.cacheDir, `${cacheKey}.json`), now, now).catch(() => {});
+  }
+
+  /**
+   * Delete entries unused for longer than the maximum age, once per process and directory
+   */
+  async pruneCache() {
+    if (prunedCacheDirs.has(this.cacheDir)) return;
+    prunedCacheDirs.add(this.cacheDir);
+
+    const cutoff = Date.now() - this.cacheMaxAgeMs;
+    for (const file of await fs.readdir(this.cacheDir)) {
+      const filePath = path.join(this.cacheDir, file);
+      const stat = await fs.stat(filePath).catch(() => null);
+      if (stat && stat.mtimeMs < cutoff) {
+        await fs.unlink(filePath).catch(() => {});
+      }
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
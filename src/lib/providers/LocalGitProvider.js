@@ -0,0 +1,226 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+
+const execFileAsync = promisify(execFile);
+
+// Field and record separators for git --format output
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+export class LocalGitProvider {
+  /**
+   * Reads a local clone with the git CLI instead of a hosting API.
+   * Repositories set `path` to the clone; `branch` is the deployed branch.
+   */
+  constructor(options = {}) {
+    this.gitBinary = options.gitBinary || 'git';
+  }
+
+  async git(repo, args) {
+    const { stdout } = await execFileAsync(this.gitBinary, ['-C', repo.path, ...args], {
+      maxBuffer: 64 * 1024 * 1024
+    });
+    return stdout;
+  }
+
+  async assertRepository(repo) {
+    if (!repo.path) {
+      throw new Error(`No local path configured for ${repo.owner}/${repo.name}`);
+    }
+
+    try {
+      await fs.access(path.resolve(repo.path));
+      await this.git(repo, ['rev-parse', '--git-dir']);
+    } catch (error) {
+      throw new Error(`Local repository not found or not a git clone: ${repo.path}`);
+    }
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.since] - Only fetch items changed since this time (incremental sync)
+   */
+  async getDeployments(repo, days = 30, options = {}) {
+    const since = options.since || new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    await this.assertRepository(repo);
+
+    // Only tags carry deployment information in a plain clone
+    return this.getTags(repo, since);
+  }
+
+  async getTags(repo, since) {
+    const format = [
+      '%(refname:short)',
+      '%(objecttype)',
+      '%(taggerdate:iso-strict)',
+      '%(creatordate:iso-strict)',
+      '%(*objectname)',
+      '%(objectname)'
+    ].join(FIELD) + RECORD;
+
+    const output = await this.git(repo, ['for-each-ref', 'refs/tags', `--format=${format}`]);
+
+    return this.parseRecords(output)
+      .map(([name, objectType, taggerDate, creatorDate, peeledSha, objectSha]) => {
+        // Annotated tags have a tagger date; lightweight tags fall back to the commit date
+        const isAnnotated = objectType === 'tag';
+        return {
+          id: `tag-${name}`,
+          type: 'tag',
+          date: new Date(isAnnotated && taggerDate ? taggerDate : creatorDate).toISOString(),
+          date_source: isAnnotated && taggerDate ? 'tagger' : 'commit',
+          commit_sha: isAnnotated ? peeledSha : objectSha,
+          tag_name: name,
+          branch: repo.branch || 'main',
+          status: 'success',
+          environment: 'production'
+        };
+      })
+      .filter(tag => new Date(tag.date) >= new Date(since))
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.since] - Only fetch items changed since this time (incremental sync)
+   */
+  async getPullRequests(repo, days = 30, options = {}) {
+    const since = options.since || new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    await this.assertRepository(repo);
+
+    const branch = repo.branch || 'main';
+    const format = ['%H', '%P', '%an', '%aI', '%cI', '%s', '%b'].join(FIELD) + RECORD;
+    const output = await this.git(repo, ['log', branch, '--first-parent', `--since=${since}`, `--format=${format}`]);
+
+    const pullRequests = [];
+
+    for (const [sha, parents, author, authorDate, commitDate, subject, body] of this.parseRecords(output)) {
+      const parentShas = parents.split(' ').filter(Boolean);
+      const reference = this.parsePullRequestReference(subject, body, parentShas.length > 1);
+      if (!reference || parentShas.length === 0) continue;
+
+      try {
+        const isMerge = parentShas.length > 1;
+        const commits = isMerge
+          ? await this.getBranchCommits(repo, parentShas[0], parentShas[1])
+          : [{ sha, author, date: authorDate, message: subject }];
+        const firstCommit = commits[commits.length - 1];
+        const lastCommit = commits[0];
+        const { linesAdded, linesDeleted } = await this.getLineChanges(repo, parentShas[0], sha);
+        // git prints local offsets; store UTC like the API providers do
+        const firstCommitAt = new Date(firstCommit?.date || authorDate).toISOString();
+        const lastCommitAt = new Date(lastCommit?.date || authorDate).toISOString();
+        const mergedAt = new Date(commitDate).toISOString();
+
+        pullRequests.push({
+          pr_number: reference.number,
+          pr_id: `local-pr-${repo.owner}-${repo.name}-${reference.number}`,
+          title: reference.title,
+          author: isMerge ? (lastCommit?.author || author) : author,
+          // Without an API the PR creation time is unknown; the first commit is the closest signal
+          created_at_pr: firstCommitAt,
+          merged_at: mergedAt,
+          closed_at: mergedAt,
+          first_commit_at: firstCommitAt,
+          last_commit_at: lastCommitAt,
+          base_branch: branch,
+          head_branch: reference.headBranch || 'unknown',
+          head_sha: isMerge ? parentShas[1] : sha,
+          merge_sha: sha,
+          state: 'merged',
+          is_merged: true,
+          lines_added: linesAdded,
+          lines_deleted: linesDeleted,
+          commits_count: commits.length,
+          labels: [],
+          is_revert: this.isRevert(reference.title, commits.map(commit => commit.message))
+        });
+      } catch (error) {
+        console.warn(`Warning: Could not read details for PR #${reference.number}: ${error.message}`);
+      }
+    }
+
+    return pullRequests;
+  }
+
+  /**
+   * Extract the PR number, title and source branch from a merge or squash commit
+   */
+  parsePullRequestReference(subject, body, isMerge) {
+    // GitHub merge commit: "Merge pull request #123 from owner/branch"
+    const githubMerge = subject.match(/^Merge pull request #(\d+) from [^/\s]+\/(\S+)/);
+    if (githubMerge) {
+      const title = body.split('\n').find(line => line.trim()) || subject;
+      return { number: parseInt(githubMerge[1]), title: title.trim(), headBranch: githubMerge[2] };
+    }
+
+    // GitLab merge commit: "Merge branch 'feature' into 'main'" ... "See merge request group/project!123"
+    const gitlabMergeRequest = body.match(/See merge request \S*!(\d+)/);
+    if (isMerge && gitlabMergeRequest) {
+      const branchMatch = subject.match(/^Merge branch '([^']+)'/);
+      const title = body.split('\n').find(line => line.trim() && !line.startsWith('See merge request')) || subject;
+      return { number: parseInt(gitlabMergeRequest[1]), title: title.trim(), headBranch: branchMatch?.[1] };
+    }
+
+    // Squash commit: "Subject (#123)"
+    const squash = subject.match(/^(.*)\s\(#(\d+)\)$/);
+    if (squash) {
+      return { number: parseInt(squash[2]), title: squash[1].trim(), headBranch: null };
+    }
+
+    return null;
+  }
+
+  async getBranchCommits(repo, baseSha, headSha) {
+    const format = ['%H', '%an', '%aI', '%s'].join(FIELD) + RECORD;
+    const output = await this.git(repo, ['log', `${baseSha}..${headSha}`, `--format=${format}`]);
+
+    return this.parseRecords(output).map(([sha, author, date, message]) => ({ sha, author, date, message }));
+  }
+
+  async getLineChanges(repo, baseSha, sha) {
+    const output = await this.git(repo, ['diff', '--numstat', baseSha, sha]);
+
+    let linesAdded = 0;
+    let linesDeleted = 0;
+    output.split('\n').filter(Boolean).forEach(line => {
+      const [added, deleted] = line.split('\t');
+      // Binary files report "-" for both counts
+      linesAdded += parseInt(added) || 0;
+      linesDeleted += parseInt(deleted) || 0;
+    });
+
+    return { linesAdded, linesDeleted };
+  }
+
+  /**
+   * Whether ancestorSha is contained in the history of descendantSha
+   */
+  async isAncestor(repo, ancestorSha, descendantSha) {
+    try {
+      await this.git(repo, ['merge-base', '--is-ancestor', ancestorSha, descendantSha]);
+      return true;
+    } catch (error) {
+      // Exit code 1 means "not an ancestor"; anything else is a real failure
+      if (error.code === 1) return false;
+      throw error;
+    }
+  }
+
+  parseRecords(output) {
+    return output
+      .split(RECORD)
+      .map(record => record.replace(/^\n/, ''))
+      .filter(record => record.trim())
+      .map(record => record.split(FIELD));
+  }
+
+  /**
+   * A PR is a revert when its title or any of its commits starts with "Revert"
+   */
+  isRevert(title, commitMessages = []) {
+    return [title, ...commitMessages].some(message => /^Revert\b/i.test(message || ''));
+  }
+}
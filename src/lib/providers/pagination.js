@@ -0,0 +1,76 @@
+import axios from 'axios';
+
+export const DEFAULT_MAX_PAGES = parseInt(process.env.MAX_PAGES) || 50;
+
+/**
+ * Fetch every page of a list endpoint.
+ * Follows `Link: <...>; rel="next"` headers (GitHub, GitLab) and `next` URLs in the body (Bitbucket).
+ *
+ * @param {string} url - First page URL
+ * @param {object} [options]
+ * @param {object} [options.client] - Object with a get(url, { headers, params }) method; defaults to axios
+ * @param {object} [options.headers]
+ * @param {object} [options.params] - Query parameters for the first page; next URLs already carry them
+ * @param {function} [options.getItems] - Extract the item array from a response body
+ * @param {function} [options.isPastBoundary] - True for an item older than the window; paging stops after that page
+ * @param {number} [options.maxPages] - Hard cap on the number of requests; defaults to MAX_PAGES
+ * @param {boolean} [options.warnAtMaxPages] - Warn when the cap cuts the list short (off for lists the
+ *   API itself limits, where the caller handles the truncation)
+ * @param {string} [options.label] - Describes the list in the warning printed when the cap is hit
+ * @returns {Promise<Array>} Items from every fetched page
+ */
+export async function fetchAllPages(url, options = {}) {
+  const {
+    client = axios,
+    headers = {},
+    params = {},
+    getItems = (data) => (Array.isArray(data) ? data : data.values || []),
+    isPastBoundary = null,
+    maxPages = DEFAULT_MAX_PAGES,
+    warnAtMaxPages = true,
+    label = url
+  } = options;
+
+  const items = [];
+  let nextUrl = url;
+  let nextParams = params;
+  let pages = 0;
+
+  while (nextUrl) {
+    if (pages >= maxPages) {
+      if (warnAtMaxPages) {
+        const hint = 'maxPages' in options ? '' : ' (raise MAX_PAGES to fetch more)';
+        console.warn(`Warning: Stopped after ${maxPages} pages of ${label}; results may be incomplete${hint}`);
+      }
+      break;
+    }
+
+    const response = await client.get(nextUrl, { headers, params: nextParams });
+    const pageItems = getItems(response.data) || [];
+    items.push(...pageItems);
+    pages++;
+
+    if (isPastBoundary && pageItems.some(isPastBoundary)) {
+      break;
+    }
+
+    nextUrl = getNextPageUrl(response);
+    nextParams = undefined;
+  }
+
+  return items;
+}
+
+function getNextPageUrl(response) {
+  const linkHeader = response.headers?.link;
+  if (linkHeader) {
+    const next = linkHeader
+      .split(',')
+      .map(part => part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/))
+      .find(match => match && match[2] === 'next');
+    return next ? next[1] : null;
+  }
+
+  // Bitbucket puts the next page URL in the response body
+  return response.data?.next || null;
+}
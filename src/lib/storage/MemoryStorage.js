@@ -0,0 +1,480 @@
+import chalk from 'chalk';
+import { Storage, FAILED_DEPLOYMENT_STATUSES } from './Storage.js';
+
+const time = value => new Date(value).getTime();
+const isSuccessful = deployment => !FAILED_DEPLOYMENT_STATUSES.includes(deployment.status);
+const round = (value, digits) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+/**
+ * AVG() semantics: nulls are ignored and an empty set gives null
+ */
+function average(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+}
+
+function groupBy(rows, keyOf) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+}
+
+/**
+ * Keeps everything in process memory and returns rows shaped like the SQL backends
+ * (0/1 flags, labels as JSON text). Nothing survives the process; meant for tests,
+ * dry runs and one-off reports.
+ */
+export class MemoryStorage extends Storage {
+  constructor() {
+    super();
+    this.tables = {
+      repositories: new Map(),
+      deployments: [],
+      pull_requests: [],
+      lead_time_metrics: [],
+      lead_time_stages: [],
+      incidents: [],
+      stats_summary: [],
+      sync_state: new Map(),
+      alert_state: new Map()
+    };
+    this.nextIds = {};
+  }
+
+  async initialize() {}
+
+  async migrate(options = {}) {
+    if (options.verbose) console.log(chalk.green('✅ In-memory storage has no schema to migrate'));
+    return [];
+  }
+
+  async close() {}
+
+  nextId(tableName) {
+    this.nextIds[tableName] = (this.nextIds[tableName] || 0) + 1;
+    return this.nextIds[tableName];
+  }
+
+  windowStart(days) {
+    return Date.now() - Number(days) * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Insert `values`, or update the existing row matching `isSame` and keep its id. With
+   * `skipUnchanged` an existing row that already holds these values is left alone and null returned.
+   */
+  upsert(tableName, values, isSame, { skipUnchanged = false } = {}) {
+    const now = new Date().toISOString();
+    const existing = this.tables[tableName].find(isSame);
+
+    if (existing) {
+      if (skipUnchanged && Object.entries(values).every(([column, value]) => existing[column] === value)) {
+        return null;
+      }
+      Object.assign(existing, values, { updated_at: now });
+      return existing.id;
+    }
+
+    const row = { id: this.nextId(tableName), ...values, created_at: now, updated_at: now };
+    this.tables[tableName].push(row);
+    return row.id;
+  }
+
+  async insertDeployment(deployment) {
+    return this.upsert('deployments', {
+      repository_id: deployment.repository_id,
+      deployment_id: deployment.deployment_id,
+      deployment_type: deployment.deployment_type,
+      deployment_date: deployment.deployment_date,
+      commit_sha: deployment.commit_sha,
+      tag_name: deployment.tag_name,
+      branch: deployment.branch,
+      status: deployment.status,
+      environment: deployment.environment,
+      date_source: deployment.date_source || null
+    }, row => row.repository_id === deployment.repository_id && row.deployment_id === deployment.deployment_id, { skipUnchanged: true });
+  }
+
+  async updateRepositoryStats(repositoryId, totalDeployments) {
+    const now = new Date().toISOString();
+    const existing = this.tables.repositories.get(repositoryId);
+
+    this.tables.repositories.set(repositoryId, {
+      id: repositoryId,
+      name: repositoryId.split('-')[2] || 'unknown',
+      owner: repositoryId.split('-')[1] || 'unknown',
+      platform: repositoryId.split('-')[0] || 'unknown',
+      url: '',
+      last_checked: now,
+      total_deployments: totalDeployments,
+      created_at: existing?.created_at || now,
+      updated_at: now
+    });
+  }
+
+  async getDeploymentStats(repositoryId = null, days = 30) {
+    const since = this.windowStart(days);
+    const weekMs = 7 * 24 * 60 * 60 * 1000;
+    const deployments = this.tables.deployments.filter(deployment =>
+      time(deployment.deployment_date) >= since &&
+      isSuccessful(deployment) &&
+      (!repositoryId || deployment.repository_id === repositoryId)
+    );
+
+    return [...groupBy(deployments, deployment => deployment.repository_id)]
+      .map(([repository, rows]) => {
+        const sorted = [...rows].sort((a, b) => time(a.deployment_date) - time(b.deployment_date));
+        return {
+          repository_id: repository,
+          deployment_count: rows.length,
+          first_deployment: sorted[0].deployment_date,
+          last_deployment: sorted[sorted.length - 1].deployment_date,
+          active_days: new Set(rows.map(row => new Date(row.deployment_date).toISOString().slice(0, 10))).size,
+          active_weeks: new Set(rows.map(row => Math.floor((time(row.deployment_date) - since) / weekMs))).size
+        };
+      })
+      .sort((a, b) => b.deployment_count - a.deployment_count);
+  }
+
+  async getDeploymentHistory(repositoryId, days = 30) {
+    const since = this.windowStart(days);
+    const deployments = this.tables.deployments.filter(deployment =>
+      deployment.repository_id === repositoryId && time(deployment.deployment_date) >= since
+    );
+    const dayOf = deployment => new Date(deployment.deployment_date).toISOString().slice(0, 10);
+
+    return [...groupBy(deployments, deployment => `${dayOf(deployment)}|${deployment.deployment_type}`).values()]
+      .map(rows => {
+        const tags = rows.map(row => row.tag_name).filter(tag => tag !== null && tag !== undefined);
+        return {
+          date: dayOf(rows[0]),
+          count: rows.length,
+          failed_count: rows.filter(row => !isSuccessful(row)).length,
+          deployment_type: rows[0].deployment_type,
+          tags: tags.length ? tags.join(',') : null
+        };
+      })
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  async getDeployments(repositoryId, days = 30) {
+    const since = this.windowStart(days);
+
+    return this.tables.deployments
+      .filter(deployment => deployment.repository_id === repositoryId && time(deployment.deployment_date) >= since)
+      .sort((a, b) => time(a.deployment_date) - time(b.deployment_date))
+      .map(deployment => ({ ...deployment }));
+  }
+
+  async getDeploymentsAfter(repositoryId, date, environments = null) {
+    const names = environments?.map(environment => environment.toLowerCase());
+    return this.tables.deployments
+      .filter(deployment =>
+        deployment.repository_id === repositoryId &&
+        time(deployment.deployment_date) >= time(date) &&
+        isSuccessful(deployment) &&
+        (!names?.length || names.includes((deployment.environment || '').toLowerCase()))
+      )
+      .sort((a, b) => time(a.deployment_date) - time(b.deployment_date))
+      .map(deployment => ({ ...deployment }));
+  }
+
+  async getDeploymentBefore(repositoryId, date) {
+    const [latest] = this.tables.deployments
+      .filter(deployment =>
+        deployment.repository_id === repositoryId &&
+        time(deployment.deployment_date) <= time(date) &&
+        isSuccessful(deployment)
+      )
+      .sort((a, b) => time(b.deployment_date) - time(a.deployment_date));
+
+    return latest ? { ...latest } : null;
+  }
+
+  async getDeploymentCount(repositoryId) {
+    return this.tables.deployments.filter(deployment => deployment.repository_id === repositoryId).length;
+  }
+
+  async getStoredTagNames(repositoryId) {
+    return this.tables.deployments
+      .filter(deployment => deployment.repository_id === repositoryId && deployment.deployment_type === 'tag')
+      .map(deployment => deployment.tag_name);
+  }
+
+  async insertPullRequest(pr) {
+    const existing = this.tables.pull_requests.find(row =>
+      row.repository_id === pr.repository_id && row.pr_number === pr.pr_number
+    );
+
+    return this.upsert('pull_requests', {
+      repository_id: pr.repository_id,
+      pr_number: pr.pr_number,
+      pr_id: pr.pr_id,
+      title: pr.title,
+      author: pr.author,
+      created_at_pr: pr.created_at_pr,
+      merged_at: pr.merged_at,
+      closed_at: pr.closed_at,
+      first_commit_at: pr.first_commit_at,
+      last_commit_at: pr.last_commit_at,
+      base_branch: pr.base_branch,
+      head_branch: pr.head_branch,
+      head_sha: pr.head_sha,
+      merge_sha: pr.merge_sha,
+      state: pr.state,
+      is_merged: pr.is_merged ? 1 : 0,
+      lines_added: pr.lines_added || 0,
+      lines_deleted: pr.lines_deleted || 0,
+      commits_count: pr.commits_count || 0,
+      labels: JSON.stringify(pr.labels || []),
+      is_revert: pr.is_revert ? 1 : 0,
+      first_review_at: pr.first_review_at || existing?.first_review_at || null
+    }, row => row === existing, { skipUnchanged: true });
+  }
+
+  async getPullRequestsForLeadTime(repositoryId, days = 30) {
+    const since = this.windowStart(days);
+
+    return this.tables.pull_requests
+      .filter(pr => pr.repository_id === repositoryId && pr.is_merged === 1 && pr.merged_at && time(pr.merged_at) >= since)
+      .sort((a, b) => time(b.merged_at) - time(a.merged_at))
+      .map(pr => {
+        const metric = this.tables.lead_time_metrics.find(row => row.pr_id === pr.id);
+        return {
+          ...pr,
+          total_lead_time_hours: metric ? metric.total_lead_time_hours : null,
+          deployed_at: metric ? metric.deployed_at : null
+        };
+      });
+  }
+
+  async getMergedPullRequests(repositoryId, days = 30) {
+    const since = this.windowStart(days);
+
+    return this.tables.pull_requests
+      .filter(pr => pr.repository_id === repositoryId && pr.is_merged === 1 && pr.merged_at && time(pr.merged_at) >= since)
+      .sort((a, b) => time(a.merged_at) - time(b.merged_at))
+      .map(pr => ({ ...pr }));
+  }
+
+  async insertLeadTimeMetric(metric) {
+    this.tables.lead_time_metrics = this.tables.lead_time_metrics.filter(row => row.pr_id !== metric.pr_id);
+
+    const row = {
+      id: this.nextId('lead_time_metrics'),
+      repository_id: metric.repository_id,
+      pr_id: metric.pr_id,
+      deployment_id: metric.deployment_id,
+      coding_time_hours: metric.coding_time_hours,
+      review_time_hours: metric.review_time_hours,
+      deployment_time_hours: metric.deployment_time_hours,
+      total_lead_time_hours: metric.total_lead_time_hours,
+      commit_to_merge_hours: metric.commit_to_merge_hours,
+      merge_to_deploy_hours: metric.merge_to_deploy_hours,
+      first_commit_at: metric.first_commit_at,
+      merged_at: metric.merged_at,
+      deployed_at: metric.deployed_at,
+      match_confidence: metric.match_confidence || null,
+      calculated_at: new Date().toISOString()
+    };
+    this.tables.lead_time_metrics.push(row);
+    return row.id;
+  }
+
+  async pruneLeadTimeMetrics(repositoryId) {
+    const prIds = new Set(this.tables.pull_requests.map(pr => pr.id));
+    const isOrphan = row => row.repository_id === repositoryId && !prIds.has(row.pr_id);
+
+    this.tables.lead_time_metrics = this.tables.lead_time_metrics.filter(row => !isOrphan(row));
+    this.tables.lead_time_stages = this.tables.lead_time_stages.filter(row => !isOrphan(row));
+  }
+
+  async insertLeadTimeStages(prId, stages) {
+    this.tables.lead_time_stages = this.tables.lead_time_stages.filter(row => row.pr_id !== prId);
+
+    stages.forEach(stage => {
+      this.tables.lead_time_stages.push({
+        repository_id: stage.repository_id,
+        pr_id: prId,
+        environment: stage.environment,
+        stage_order: stage.stage_order,
+        deployment_id: stage.deployment_id,
+        deployed_at: stage.deployed_at,
+        hours_from_merge: stage.hours_from_merge,
+        hours_from_first_commit: stage.hours_from_first_commit,
+        match_confidence: stage.match_confidence
+      });
+    });
+  }
+
+  /**
+   * Lead time metrics whose first commit falls in the window
+   */
+  metricsInWindow(repositoryId, days) {
+    const since = this.windowStart(days);
+
+    return this.tables.lead_time_metrics.filter(metric =>
+      time(metric.first_commit_at) >= since && (!repositoryId || metric.repository_id === repositoryId)
+    );
+  }
+
+  async getLeadTimeStageStats(repositoryId = null, days = 30) {
+    const prIds = new Set(this.metricsInWindow(null, days).map(metric => metric.pr_id));
+    const stages = this.tables.lead_time_stages.filter(stage =>
+      prIds.has(stage.pr_id) && (!repositoryId || stage.repository_id === repositoryId)
+    );
+
+    return [...groupBy(stages, stage => `${stage.repository_id}|${stage.environment}|${stage.stage_order}`).values()]
+      .map(rows => ({
+        repository_id: rows[0].repository_id,
+        environment: rows[0].environment,
+        stage_order: rows[0].stage_order,
+        deployed_pr_count: rows.filter(row => row.deployment_id !== null && row.deployment_id !== undefined).length,
+        avg_hours_from_merge: round(average(rows.map(row => row.hours_from_merge)), 2),
+        avg_hours_from_first_commit: round(average(rows.map(row => row.hours_from_first_commit)), 2)
+      }))
+      .sort((a, b) => a.repository_id.localeCompare(b.repository_id) || a.stage_order - b.stage_order);
+  }
+
+  async getLeadTimeStats(repositoryId = null, days = 30) {
+    const metrics = this.metricsInWindow(repositoryId, days);
+
+    return [...groupBy(metrics, metric => metric.repository_id)]
+      .map(([repository, rows]) => {
+        const totals = rows.map(row => row.total_lead_time_hours);
+        const averageTotal = average(totals);
+        const countWhere = predicate => rows.filter(predicate).length;
+
+        return {
+          repository_id: repository,
+          pr_count: rows.length,
+          avg_lead_time_hours: round(averageTotal, 2),
+          avg_lead_time_days: round(averageTotal === null ? null : averageTotal / 24, 2),
+          min_lead_time_hours: Math.min(...totals),
+          max_lead_time_hours: Math.max(...totals),
+          avg_commit_to_merge_hours: round(average(rows.map(row => row.commit_to_merge_hours)), 2),
+          avg_merge_to_deploy_hours: round(average(rows.map(row => row.merge_to_deploy_hours)), 2),
+          under_24h_count: countWhere(row => row.total_lead_time_hours <= 24),
+          under_1week_count: countWhere(row => row.total_lead_time_hours <= 168),
+          exact_match_count: countWhere(row => row.match_confidence === 'exact'),
+          ancestry_match_count: countWhere(row => row.match_confidence === 'ancestry'),
+          time_fallback_count: countWhere(row => row.match_confidence === 'time-fallback'),
+          unmatched_count: countWhere(row => row.match_confidence === 'none')
+        };
+      })
+      .sort((a, b) => a.avg_lead_time_hours - b.avg_lead_time_hours);
+  }
+
+  async getLeadTimePercentiles(repositoryId = null, days = 30) {
+    const metrics = this.metricsInWindow(repositoryId, days);
+
+    return [...groupBy(metrics, metric => metric.repository_id)]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .flatMap(([repository, rows]) => rows
+        .map(row => row.total_lead_time_hours)
+        .sort((a, b) => a - b)
+        .map((hours, index, sorted) => ({
+          repository_id: repository,
+          total_lead_time_hours: hours,
+          percentile: (index + 1) * 100 / sorted.length
+        })));
+  }
+
+  async insertIncident(incident) {
+    return this.upsert('incidents', {
+      repository_id: incident.repository_id,
+      incident_id: incident.incident_id,
+      issue_number: incident.issue_number,
+      title: incident.title,
+      state: incident.state,
+      labels: JSON.stringify(incident.labels || []),
+      url: incident.url,
+      opened_at: incident.opened_at,
+      resolved_at: incident.resolved_at
+    }, row => row.repository_id === incident.repository_id && row.incident_id === incident.incident_id);
+  }
+
+  async getIncidents(repositoryId, days = 30) {
+    const since = this.windowStart(days);
+
+    return this.tables.incidents
+      .filter(incident => incident.repository_id === repositoryId && time(incident.opened_at) >= since)
+      .sort((a, b) => time(a.opened_at) - time(b.opened_at))
+      .map(incident => {
+        const deployment = this.tables.deployments.find(row => row.id === incident.deployment_id);
+        return {
+          deployment_id: null,
+          ...incident,
+          linked_deployment: deployment ? deployment.deployment_id : null,
+          linked_deployment_date: deployment ? deployment.deployment_date : null,
+          linked_tag_name: deployment ? deployment.tag_name : null
+        };
+      });
+  }
+
+  async linkIncidentToDeployment(incidentId, deploymentId) {
+    const incident = this.tables.incidents.find(row => row.id === incidentId);
+    if (incident) {
+      incident.deployment_id = deploymentId;
+      incident.updated_at = new Date().toISOString();
+    }
+  }
+
+  async markSynced(repositoryId, dataType, days, cursor = null) {
+    this.tables.sync_state.set(`${repositoryId}|${dataType}`, {
+      repository_id: repositoryId,
+      data_type: dataType,
+      last_synced_at: new Date().toISOString(),
+      days,
+      cursor
+    });
+  }
+
+  async getSyncState(repositoryId, dataType) {
+    const state = this.tables.sync_state.get(`${repositoryId}|${dataType}`);
+    return state ? { ...state } : null;
+  }
+
+  async saveDailyStats(repositoryId, fromDate, rows) {
+    const now = new Date().toISOString();
+    this.tables.stats_summary = [
+      ...this.tables.stats_summary.filter(row => row.repository_id !== repositoryId || row.date < fromDate),
+      ...rows.map(row => ({
+        repository_id: repositoryId,
+        date: row.date,
+        deployment_count: row.deployment_count,
+        failed_deployment_count: row.failed_deployment_count,
+        lead_time_count: row.lead_time_count,
+        lead_time_hours_total: row.lead_time_hours_total,
+        updated_at: now
+      }))
+    ];
+  }
+
+  async getDailyStats(repositoryId, fromDate = null) {
+    return this.tables.stats_summary
+      .filter(row => row.repository_id === repositoryId && (!fromDate || row.date >= fromDate))
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(({ updated_at, ...row }) => ({ ...row }));
+  }
+
+  async getAlertState(repositoryId, ruleId) {
+    const state = this.tables.alert_state.get(`${repositoryId}|${ruleId}`);
+    return state ? { ...state } : null;
+  }
+
+  async saveAlertState(state) {
+    this.tables.alert_state.set(`${state.repository_id}|${state.rule_id}`, {
+      repository_id: state.repository_id,
+      rule_id: state.rule_id,
+      active: state.active ? 1 : 0,
+      value: state.value ?? null,
+      fired_at: state.fired_at || null,
+      updated_at: new Date().toISOString()
+    });
+  }
+}
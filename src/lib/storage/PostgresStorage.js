@@ -0,0 +1,124 @@
+import pg from 'pg';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SqlStorage } from './SqlStorage.js';
+import { MigrationRunner } from '../MigrationRunner.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations/postgres');
+
+// Return rows in the shapes SQLite produces: numbers for counts and averages, ISO strings for timestamps
+const TYPE_PARSERS = {
+  [pg.types.builtins.INT8]: value => parseInt(value, 10),
+  [pg.types.builtins.NUMERIC]: value => parseFloat(value),
+  [pg.types.builtins.TIMESTAMPTZ]: value => new Date(value).toISOString(),
+  [pg.types.builtins.TIMESTAMP]: value => new Date(`${value}Z`).toISOString(),
+  [pg.types.builtins.DATE]: value => value
+};
+
+export class PostgresStorage extends SqlStorage {
+  /**
+   * @param {object} options
+   * @param {string} options.connectionString - postgres:// URL
+   */
+  constructor(options = {}) {
+    super();
+    this.connectionString = options.connectionString;
+    this.client = null;
+  }
+
+  weekIndex(column) {
+    return `FLOOR(EXTRACT(EPOCH FROM (${column} - CAST(? AS TIMESTAMPTZ))) / 604800)`;
+  }
+
+  groupConcat(column) {
+    return `STRING_AGG(${column}, ',')`;
+  }
+
+  round(expression, digits) {
+    return `ROUND(CAST(${expression} AS NUMERIC), ${digits})`;
+  }
+
+  /**
+   * Connect and bring the schema up to date
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.migrate] - Apply pending migrations; disable for db-migrate --dry-run
+   */
+  async initialize(options = {}) {
+    const { migrate = true } = options;
+
+    // One connection: the CLI runs its queries one after another and migrations need a single session
+    this.client = new pg.Client({
+      connectionString: this.connectionString,
+      types: { getTypeParser: (oid, format) => TYPE_PARSERS[oid] || pg.types.getTypeParser(oid, format) }
+    });
+    await this.client.connect();
+    // DATE() buckets deployments by UTC day, like SQLite does for ISO timestamps
+    await this.client.query(`SET TIME ZONE 'UTC'`);
+
+    if (migrate) {
+      await this.migrate();
+    }
+  }
+
+  async migrate(options = {}) {
+    return new MigrationRunner(this, { migrationsDir: MIGRATIONS_DIR }).migrate(options);
+  }
+
+  /**
+   * Run a statement written with `?` placeholders
+   */
+  async query(sql, params = []) {
+    let index = 0;
+    const text = sql.replace(/\?/g, () => `$${++index}`);
+    return this.client.query(text, params);
+  }
+
+  async run(sql, params = []) {
+    await this.query(sql, params);
+  }
+
+  async all(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows;
+  }
+
+  async get(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows[0];
+  }
+
+  async hasColumn(tableName, columnName) {
+    const row = await this.get(`
+      SELECT 1 AS found FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?
+    `, [tableName, columnName]);
+    return Boolean(row);
+  }
+
+  /**
+   * Copy every table into a new schema before a destructive migration
+   */
+  async backup(version) {
+    const timestamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    const backupSchema = `backup_v${version}_${timestamp}`;
+    const tables = await this.all(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_schema = current_schema() AND table_type = 'BASE TABLE'
+    `);
+
+    await this.run(`CREATE SCHEMA ${backupSchema}`);
+    for (const { table_name: tableName } of tables) {
+      await this.run(`CREATE TABLE ${backupSchema}.${tableName} AS TABLE ${tableName}`);
+    }
+
+    return `schema ${backupSchema}`;
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.end();
+    }
+  }
+}
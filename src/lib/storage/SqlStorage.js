@@ -0,0 +1,606 @@
+import { Storage, FAILED_DEPLOYMENT_STATUSES } from './Storage.js';
+
+const FAILED_STATUS_LIST = FAILED_DEPLOYMENT_STATUSES.map(status => `'${status}'`).join(', ');
+
+/**
+ * Queries shared by the SQL backends. Statements use `?` placeholders and standard SQL;
+ * the few functions that differ between SQLite and PostgreSQL come from the dialect hooks
+ * (weekIndex, groupConcat, round) that subclasses override.
+ *
+ * Subclasses implement run(sql, params), all(sql, params) and get(sql, params).
+ */
+export class SqlStorage extends Storage {
+  /**
+   * Start of the `days` window as an ISO timestamp, passed as a query parameter
+   */
+  windowStart(days) {
+    return new Date(Date.now() - Number(days) * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Whole weeks between the `?` parameter and `column`
+   */
+  weekIndex(column) {
+    return `CAST((julianday(${column}) - julianday(?)) / 7 AS INTEGER)`;
+  }
+
+  groupConcat(column) {
+    return `GROUP_CONCAT(${column})`;
+  }
+
+  round(expression, digits) {
+    return `ROUND(${expression}, ${digits})`;
+  }
+
+  /**
+   * DO UPDATE condition that leaves a row alone when none of `columns` would change; such a row
+   * is not returned by RETURNING, which is how callers tell new and changed rows from re-fetched ones
+   */
+  changedColumns(table, columns) {
+    return columns.map(column => `${table}.${column} IS DISTINCT FROM excluded.${column}`).join('\n        OR ');
+  }
+
+  async insertDeployment(deployment) {
+    // Upsert keeps the row id stable for lead_time_metrics and incidents that reference it
+    const sql = `
+      INSERT INTO deployments
+      (repository_id, deployment_id, deployment_type, deployment_date, commit_sha, tag_name, branch, status, environment, date_source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(repository_id, deployment_id) DO UPDATE SET
+        deployment_type = excluded.deployment_type,
+        deployment_date = excluded.deployment_date,
+        commit_sha = excluded.commit_sha,
+        tag_name = excluded.tag_name,
+        branch = excluded.branch,
+        status = excluded.status,
+        environment = excluded.environment,
+        date_source = excluded.date_source,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE ${this.changedColumns('deployments', [
+        'deployment_type', 'deployment_date', 'commit_sha', 'tag_name', 'branch', 'status', 'environment', 'date_source'
+      ])}
+      RETURNING id
+    `;
+
+    const row = await this.get(sql, [
+      deployment.repository_id,
+      deployment.deployment_id,
+      deployment.deployment_type,
+      deployment.deployment_date,
+      deployment.commit_sha,
+      deployment.tag_name,
+      deployment.branch,
+      deployment.status,
+      deployment.environment,
+      deployment.date_source || null
+    ]);
+    return row ? row.id : null;
+  }
+
+  async updateRepositoryStats(repositoryId, totalDeployments) {
+    const sql = `
+      INSERT INTO repositories
+      (id, name, owner, platform, url, last_checked, total_deployments, updated_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        owner = excluded.owner,
+        platform = excluded.platform,
+        url = excluded.url,
+        last_checked = excluded.last_checked,
+        total_deployments = excluded.total_deployments,
+        updated_at = excluded.updated_at
+    `;
+
+    // This is a simplified version - in practice you'd want to get repo details from config
+    await this.run(sql, [
+      repositoryId,
+      repositoryId.split('-')[2] || 'unknown',
+      repositoryId.split('-')[1] || 'unknown',
+      repositoryId.split('-')[0] || 'unknown',
+      '',
+      totalDeployments
+    ]);
+  }
+
+  async getDeploymentStats(repositoryId = null, days = 30) {
+    const since = this.windowStart(days);
+
+    let sql = `
+      SELECT
+        d.repository_id,
+        COUNT(*) as deployment_count,
+        MIN(d.deployment_date) as first_deployment,
+        MAX(d.deployment_date) as last_deployment,
+        COUNT(DISTINCT DATE(d.deployment_date)) as active_days,
+        COUNT(DISTINCT ${this.weekIndex('d.deployment_date')}) as active_weeks
+      FROM deployments d
+      WHERE d.deployment_date >= ?
+        AND d.status NOT IN (${FAILED_STATUS_LIST})
+    `;
+    const params = [since, since];
+
+    if (repositoryId) {
+      sql += ` AND d.repository_id = ?`;
+      params.push(repositoryId);
+    }
+
+    sql += ` GROUP BY d.repository_id ORDER BY deployment_count DESC`;
+
+    return this.all(sql, params);
+  }
+
+  async getDeploymentHistory(repositoryId, days = 30) {
+    const sql = `
+      SELECT
+        DATE(deployment_date) as date,
+        COUNT(*) as count,
+        SUM(CASE WHEN status IN (${FAILED_STATUS_LIST}) THEN 1 ELSE 0 END) as failed_count,
+        deployment_type,
+        ${this.groupConcat('tag_name')} as tags
+      FROM deployments
+      WHERE repository_id = ?
+        AND deployment_date >= ?
+      GROUP BY DATE(deployment_date), deployment_type
+      ORDER BY date DESC
+    `;
+
+    return this.all(sql, [repositoryId, this.windowStart(days)]);
+  }
+
+  async insertPullRequest(pr) {
+    // Upsert keeps the row id stable so lead_time_metrics.pr_id stays valid on re-collection
+    const sql = `
+      INSERT INTO pull_requests
+      (repository_id, pr_number, pr_id, title, author, created_at_pr, merged_at, closed_at,
+       first_commit_at, last_commit_at, base_branch, head_branch, head_sha, merge_sha,
+       state, is_merged, lines_added, lines_deleted, commits_count, labels, is_revert, first_review_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(repository_id, pr_number) DO UPDATE SET
+        pr_id = excluded.pr_id,
+        title = excluded.title,
+        author = excluded.author,
+        created_at_pr = excluded.created_at_pr,
+        merged_at = excluded.merged_at,
+        closed_at = excluded.closed_at,
+        first_commit_at = excluded.first_commit_at,
+        last_commit_at = excluded.last_commit_at,
+        base_branch = excluded.base_branch,
+        head_branch = excluded.head_branch,
+        head_sha = excluded.head_sha,
+        merge_sha = excluded.merge_sha,
+        state = excluded.state,
+        is_merged = excluded.is_merged,
+        lines_added = excluded.lines_added,
+        lines_deleted = excluded.lines_deleted,
+        commits_count = excluded.commits_count,
+        labels = excluded.labels,
+        is_revert = excluded.is_revert,
+        first_review_at = COALESCE(excluded.first_review_at, pull_requests.first_review_at),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE ${this.changedColumns('pull_requests', [
+        'pr_id', 'title', 'author', 'created_at_pr', 'merged_at', 'closed_at', 'first_commit_at', 'last_commit_at',
+        'base_branch', 'head_branch', 'head_sha', 'merge_sha', 'state', 'is_merged', 'lines_added', 'lines_deleted',
+        'commits_count', 'labels', 'is_revert'
+      ])}
+        OR (excluded.first_review_at IS NOT NULL AND pull_requests.first_review_at IS DISTINCT FROM excluded.first_review_at)
+      RETURNING id
+    `;
+
+    const row = await this.get(sql, [
+      pr.repository_id,
+      pr.pr_number,
+      pr.pr_id,
+      pr.title,
+      pr.author,
+      pr.created_at_pr,
+      pr.merged_at,
+      pr.closed_at,
+      pr.first_commit_at,
+      pr.last_commit_at,
+      pr.base_branch,
+      pr.head_branch,
+      pr.head_sha,
+      pr.merge_sha,
+      pr.state,
+      pr.is_merged ? 1 : 0,
+      pr.lines_added || 0,
+      pr.lines_deleted || 0,
+      pr.commits_count || 0,
+      JSON.stringify(pr.labels || []),
+      pr.is_revert ? 1 : 0,
+      pr.first_review_at || null
+    ]);
+    return row ? row.id : null;
+  }
+
+  async insertLeadTimeMetric(metric) {
+    const sql = `
+      INSERT INTO lead_time_metrics
+      (repository_id, pr_id, deployment_id, coding_time_hours, review_time_hours,
+       deployment_time_hours, total_lead_time_hours, commit_to_merge_hours,
+       merge_to_deploy_hours, first_commit_at, merged_at, deployed_at, match_confidence)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(pr_id) DO UPDATE SET
+        repository_id = excluded.repository_id,
+        deployment_id = excluded.deployment_id,
+        coding_time_hours = excluded.coding_time_hours,
+        review_time_hours = excluded.review_time_hours,
+        deployment_time_hours = excluded.deployment_time_hours,
+        total_lead_time_hours = excluded.total_lead_time_hours,
+        commit_to_merge_hours = excluded.commit_to_merge_hours,
+        merge_to_deploy_hours = excluded.merge_to_deploy_hours,
+        first_commit_at = excluded.first_commit_at,
+        merged_at = excluded.merged_at,
+        deployed_at = excluded.deployed_at,
+        match_confidence = excluded.match_confidence,
+        calculated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    `;
+
+    // A PR has a single lead time, so a recalculation replaces the stored row in one statement
+    const row = await this.get(sql, [
+      metric.repository_id,
+      metric.pr_id,
+      metric.deployment_id,
+      metric.coding_time_hours,
+      metric.review_time_hours,
+      metric.deployment_time_hours,
+      metric.total_lead_time_hours,
+      metric.commit_to_merge_hours,
+      metric.merge_to_deploy_hours,
+      metric.first_commit_at,
+      metric.merged_at,
+      metric.deployed_at,
+      metric.match_confidence || null
+    ]);
+    return row.id;
+  }
+
+  async pruneLeadTimeMetrics(repositoryId) {
+    for (const tableName of ['lead_time_metrics', 'lead_time_stages']) {
+      const sql = `
+        DELETE FROM ${tableName}
+        WHERE repository_id = ?
+          AND pr_id NOT IN (SELECT id FROM pull_requests)
+      `;
+
+      await this.run(sql, [repositoryId]);
+    }
+  }
+
+  async insertLeadTimeStages(prId, stages) {
+    await this.run('DELETE FROM lead_time_stages WHERE pr_id = ?', [prId]);
+
+    const sql = `
+      INSERT INTO lead_time_stages
+      (repository_id, pr_id, environment, stage_order, deployment_id, deployed_at,
+       hours_from_merge, hours_from_first_commit, match_confidence)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    for (const stage of stages) {
+      await this.run(sql, [
+        stage.repository_id,
+        prId,
+        stage.environment,
+        stage.stage_order,
+        stage.deployment_id,
+        stage.deployed_at,
+        stage.hours_from_merge,
+        stage.hours_from_first_commit,
+        stage.match_confidence
+      ]);
+    }
+  }
+
+  /**
+   * Average time from merge (and from first commit) to each environment, per repository
+   */
+  async getLeadTimeStageStats(repositoryId = null, days = 30) {
+    let sql = `
+      SELECT
+        lts.repository_id,
+        lts.environment,
+        lts.stage_order,
+        COUNT(lts.deployment_id) as deployed_pr_count,
+        ${this.round('AVG(lts.hours_from_merge)', 2)} as avg_hours_from_merge,
+        ${this.round('AVG(lts.hours_from_first_commit)', 2)} as avg_hours_from_first_commit
+      FROM lead_time_stages lts
+      JOIN lead_time_metrics ltm ON ltm.pr_id = lts.pr_id
+      WHERE ltm.first_commit_at >= ?
+    `;
+    const params = [this.windowStart(days)];
+
+    if (repositoryId) {
+      sql += ` AND lts.repository_id = ?`;
+      params.push(repositoryId);
+    }
+
+    sql += ` GROUP BY lts.repository_id, lts.environment, lts.stage_order ORDER BY lts.repository_id, lts.stage_order`;
+
+    return this.all(sql, params);
+  }
+
+  async getLeadTimeStats(repositoryId = null, days = 30) {
+    let sql = `
+      SELECT
+        ltm.repository_id,
+        COUNT(*) as pr_count,
+        ${this.round('AVG(ltm.total_lead_time_hours)', 2)} as avg_lead_time_hours,
+        ${this.round('AVG(ltm.total_lead_time_hours) / 24', 2)} as avg_lead_time_days,
+        MIN(ltm.total_lead_time_hours) as min_lead_time_hours,
+        MAX(ltm.total_lead_time_hours) as max_lead_time_hours,
+        ${this.round('AVG(ltm.commit_to_merge_hours)', 2)} as avg_commit_to_merge_hours,
+        ${this.round('AVG(ltm.merge_to_deploy_hours)', 2)} as avg_merge_to_deploy_hours,
+        COUNT(CASE WHEN ltm.total_lead_time_hours <= 24 THEN 1 END) as under_24h_count,
+        COUNT(CASE WHEN ltm.total_lead_time_hours <= 168 THEN 1 END) as under_1week_count,
+        COUNT(CASE WHEN ltm.match_confidence = 'exact' THEN 1 END) as exact_match_count,
+        COUNT(CASE WHEN ltm.match_confidence = 'ancestry' THEN 1 END) as ancestry_match_count,
+        COUNT(CASE WHEN ltm.match_confidence = 'time-fallback' THEN 1 END) as time_fallback_count,
+        COUNT(CASE WHEN ltm.match_confidence = 'none' THEN 1 END) as unmatched_count
+      FROM lead_time_metrics ltm
+      WHERE ltm.first_commit_at >= ?
+    `;
+    const params = [this.windowStart(days)];
+
+    if (repositoryId) {
+      sql += ` AND ltm.repository_id = ?`;
+      params.push(repositoryId);
+    }
+
+    sql += ` GROUP BY ltm.repository_id ORDER BY avg_lead_time_hours ASC`;
+
+    return this.all(sql, params);
+  }
+
+  async getLeadTimePercentiles(repositoryId = null, days = 30) {
+    let sql = `
+      SELECT
+        repository_id,
+        total_lead_time_hours,
+        ROW_NUMBER() OVER (PARTITION BY repository_id ORDER BY total_lead_time_hours) * 100.0 /
+        COUNT(*) OVER (PARTITION BY repository_id) as percentile
+      FROM lead_time_metrics
+      WHERE first_commit_at >= ?
+    `;
+    const params = [this.windowStart(days)];
+
+    if (repositoryId) {
+      sql += ` AND repository_id = ?`;
+      params.push(repositoryId);
+    }
+
+    sql += ` ORDER BY repository_id, total_lead_time_hours`;
+
+    return this.all(sql, params);
+  }
+
+  async getPullRequestsForLeadTime(repositoryId, days = 30) {
+    const sql = `
+      SELECT pr.*, ltm.total_lead_time_hours, ltm.deployed_at
+      FROM pull_requests pr
+      LEFT JOIN lead_time_metrics ltm ON pr.id = ltm.pr_id
+      WHERE pr.repository_id = ?
+        AND pr.is_merged = 1
+        AND pr.merged_at >= ?
+      ORDER BY pr.merged_at DESC
+    `;
+
+    return this.all(sql, [repositoryId, this.windowStart(days)]);
+  }
+
+  async getDeployments(repositoryId, days = 30) {
+    const sql = `
+      SELECT * FROM deployments
+      WHERE repository_id = ?
+        AND deployment_date >= ?
+      ORDER BY deployment_date ASC
+    `;
+
+    return this.all(sql, [repositoryId, this.windowStart(days)]);
+  }
+
+  async getMergedPullRequests(repositoryId, days = 30) {
+    const sql = `
+      SELECT * FROM pull_requests
+      WHERE repository_id = ?
+        AND is_merged = 1
+        AND merged_at >= ?
+      ORDER BY merged_at ASC
+    `;
+
+    return this.all(sql, [repositoryId, this.windowStart(days)]);
+  }
+
+  async insertIncident(incident) {
+    const sql = `
+      INSERT INTO incidents
+      (repository_id, incident_id, issue_number, title, state, labels, url, opened_at, resolved_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(repository_id, incident_id) DO UPDATE SET
+        title = excluded.title,
+        state = excluded.state,
+        labels = excluded.labels,
+        url = excluded.url,
+        opened_at = excluded.opened_at,
+        resolved_at = excluded.resolved_at,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    `;
+
+    const row = await this.get(sql, [
+      incident.repository_id,
+      incident.incident_id,
+      incident.issue_number,
+      incident.title,
+      incident.state,
+      JSON.stringify(incident.labels || []),
+      incident.url,
+      incident.opened_at,
+      incident.resolved_at
+    ]);
+    return row.id;
+  }
+
+  async getIncidents(repositoryId, days = 30) {
+    const sql = `
+      SELECT i.*, d.deployment_id AS linked_deployment, d.deployment_date AS linked_deployment_date, d.tag_name AS linked_tag_name
+      FROM incidents i
+      LEFT JOIN deployments d ON i.deployment_id = d.id
+      WHERE i.repository_id = ?
+        AND i.opened_at >= ?
+      ORDER BY i.opened_at ASC
+    `;
+
+    return this.all(sql, [repositoryId, this.windowStart(days)]);
+  }
+
+  /**
+   * Successful deployments at or after `date`, oldest first: the candidates that may ship a PR merged then.
+   * `environments` limits them to the names one stage may carry (case-insensitive).
+   */
+  async getDeploymentsAfter(repositoryId, date, environments = null) {
+    let sql = `
+      SELECT * FROM deployments
+      WHERE repository_id = ?
+        AND deployment_date >= ?
+        AND status NOT IN (${FAILED_STATUS_LIST})
+    `;
+    const params = [repositoryId, date];
+
+    if (environments?.length) {
+      sql += ` AND LOWER(environment) IN (${environments.map(() => '?').join(', ')})`;
+      params.push(...environments.map(environment => environment.toLowerCase()));
+    }
+
+    sql += ` ORDER BY deployment_date ASC`;
+
+    return this.all(sql, params);
+  }
+
+  async getDeploymentBefore(repositoryId, date) {
+    const sql = `
+      SELECT * FROM deployments
+      WHERE repository_id = ?
+        AND deployment_date <= ?
+        AND status NOT IN (${FAILED_STATUS_LIST})
+      ORDER BY deployment_date DESC
+      LIMIT 1
+    `;
+
+    return (await this.get(sql, [repositoryId, date])) || null;
+  }
+
+  async linkIncidentToDeployment(incidentId, deploymentId) {
+    const sql = `UPDATE incidents SET deployment_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+
+    await this.run(sql, [deploymentId, incidentId]);
+  }
+
+  async markSynced(repositoryId, dataType, days, cursor = null) {
+    const sql = `
+      INSERT INTO sync_state (repository_id, data_type, last_synced_at, days, cursor)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(repository_id, data_type) DO UPDATE SET
+        last_synced_at = excluded.last_synced_at,
+        days = excluded.days,
+        cursor = excluded.cursor
+    `;
+
+    await this.run(sql, [repositoryId, dataType, new Date().toISOString(), days, cursor]);
+  }
+
+  async getDeploymentCount(repositoryId) {
+    const sql = `SELECT COUNT(*) AS count FROM deployments WHERE repository_id = ?`;
+
+    const row = await this.get(sql, [repositoryId]);
+    return row.count;
+  }
+
+  async getStoredTagNames(repositoryId) {
+    const sql = `SELECT tag_name FROM deployments WHERE repository_id = ? AND deployment_type = 'tag'`;
+
+    const rows = await this.all(sql, [repositoryId]);
+    return rows.map(row => row.tag_name);
+  }
+
+  async getSyncState(repositoryId, dataType) {
+    const sql = `SELECT * FROM sync_state WHERE repository_id = ? AND data_type = ?`;
+
+    return (await this.get(sql, [repositoryId, dataType])) || null;
+  }
+
+  async saveDailyStats(repositoryId, fromDate, rows) {
+    await this.run('BEGIN');
+    try {
+      await this.run(`DELETE FROM stats_summary WHERE repository_id = ? AND date >= ?`, [repositoryId, fromDate]);
+
+      const sql = `
+        INSERT INTO stats_summary
+        (repository_id, date, deployment_count, failed_deployment_count, lead_time_count, lead_time_hours_total, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      `;
+      for (const row of rows) {
+        await this.run(sql, [
+          repositoryId,
+          row.date,
+          row.deployment_count,
+          row.failed_deployment_count,
+          row.lead_time_count,
+          row.lead_time_hours_total
+        ]);
+      }
+
+      await this.run('COMMIT');
+    } catch (error) {
+      await this.run('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async getDailyStats(repositoryId, fromDate = null) {
+    let sql = `
+      SELECT repository_id, date, deployment_count, failed_deployment_count, lead_time_count, lead_time_hours_total
+      FROM stats_summary
+      WHERE repository_id = ?
+    `;
+    const params = [repositoryId];
+
+    if (fromDate) {
+      sql += ` AND date >= ?`;
+      params.push(fromDate);
+    }
+
+    sql += ` ORDER BY date`;
+
+    return this.all(sql, params);
+  }
+
+  async getAlertState(repositoryId, ruleId) {
+    const sql = `SELECT * FROM alert_state WHERE repository_id = ? AND rule_id = ?`;
+
+    return (await this.get(sql, [repositoryId, ruleId])) || null;
+  }
+
+  async saveAlertState(state) {
+    const sql = `
+      INSERT INTO alert_state (repository_id, rule_id, active, value, fired_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(repository_id, rule_id) DO UPDATE SET
+        active = excluded.active,
+        value = excluded.value,
+        fired_at = excluded.fired_at,
+        updated_at = excluded.updated_at
+    `;
+
+    await this.run(sql, [
+      state.repository_id,
+      state.rule_id,
+      state.active ? 1 : 0,
+      state.value ?? null,
+      state.fired_at || null,
+      new Date().toISOString()
+    ]);
+  }
+}
@@ -0,0 +1,104 @@
+import sqlite3 from 'sqlite3';
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { SqlStorage } from './SqlStorage.js';
+import { MigrationRunner } from '../MigrationRunner.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_DB_PATH = path.join(__dirname, '../../../data/stats.db');
+
+export class SqliteStorage extends SqlStorage {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.path] - Database file; defaults to data/stats.db
+   * @param {string} [options.backupDir] - Where backups are written; defaults to a backups folder next to the database
+   */
+  constructor(options = {}) {
+    super();
+    this.dbPath = options.path || DEFAULT_DB_PATH;
+    this.backupDir = options.backupDir || path.join(path.dirname(this.dbPath), 'backups');
+    this.db = null;
+  }
+
+  /**
+   * Open the database and bring its schema up to date
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.migrate] - Apply pending migrations; disable for db-migrate --dry-run
+   */
+  async initialize(options = {}) {
+    const { migrate = true } = options;
+
+    // Ensure data directory exists
+    await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+
+    await new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    if (migrate) {
+      await this.migrate();
+    }
+  }
+
+  async migrate(options = {}) {
+    return new MigrationRunner(this).migrate(options);
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  async hasColumn(tableName, columnName) {
+    const columns = await this.all(`PRAGMA table_info(${tableName})`);
+    return columns.some(column => column.name === columnName);
+  }
+
+  /**
+   * Copy the database file before a destructive migration
+   */
+  async backup(version) {
+    await fs.mkdir(this.backupDir, { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(this.backupDir, `${path.basename(this.dbPath, '.db')}-v${version}-${timestamp}.db`);
+
+    // VACUUM INTO writes a consistent copy even while the database is open
+    await this.run('VACUUM INTO ?', [backupPath]);
+    return backupPath;
+  }
+
+  async close() {
+    if (this.db) {
+      return new Promise((resolve) => {
+        this.db.close(resolve);
+      });
+    }
+  }
+}
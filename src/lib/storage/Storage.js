@@ -0,0 +1,179 @@
+// Deployment statuses that represent a failed change rather than a delivered one
+export const FAILED_DEPLOYMENT_STATUSES = ['failure', 'failed', 'error'];
+
+/**
+ * Storage interface: every query the tool runs goes through these methods, so calculators and
+ * reports never see SQL. Implementations: SqliteStorage (default), PostgresStorage and
+ * MemoryStorage, chosen by DATABASE_URL (see createStorage in ./index.js).
+ *
+ * Rows are plain objects with the column names of the SQL schema; timestamps are ISO strings.
+ * `days` arguments select rows newer than that many days ago.
+ */
+export class Storage {
+  /**
+   * Connect and, unless `options.migrate` is false, bring the schema up to date
+   */
+  async initialize(options = {}) {
+    this.notImplemented('initialize');
+  }
+
+  /**
+   * Apply (or with `dryRun`, list) pending schema migrations
+   */
+  async migrate(options = {}) {
+    this.notImplemented('migrate');
+  }
+
+  async close() {
+    this.notImplemented('close');
+  }
+
+  // Deployments
+
+  /** Upsert on (repository_id, deployment_id); returns the row id, or null when the stored row was identical */
+  async insertDeployment(deployment) {
+    this.notImplemented('insertDeployment');
+  }
+
+  async updateRepositoryStats(repositoryId, totalDeployments) {
+    this.notImplemented('updateRepositoryStats');
+  }
+
+  /** Successful deployments per repository: count, first/last date, active days and weeks */
+  async getDeploymentStats(repositoryId = null, days = 30) {
+    this.notImplemented('getDeploymentStats');
+  }
+
+  /** Deployments per day and type (with how many failed), newest day first */
+  async getDeploymentHistory(repositoryId, days = 30) {
+    this.notImplemented('getDeploymentHistory');
+  }
+
+  /** Every deployment in the window, including failed ones, oldest first */
+  async getDeployments(repositoryId, days = 30) {
+    this.notImplemented('getDeployments');
+  }
+
+  /** Successful deployments at or after `date`, oldest first, optionally to the named environments (case-insensitive) */
+  async getDeploymentsAfter(repositoryId, date, environments = null) {
+    this.notImplemented('getDeploymentsAfter');
+  }
+
+  /** Latest successful deployment at or before `date` */
+  async getDeploymentBefore(repositoryId, date) {
+    this.notImplemented('getDeploymentBefore');
+  }
+
+  async getDeploymentCount(repositoryId) {
+    this.notImplemented('getDeploymentCount');
+  }
+
+  /** Names of the tags already stored as tag deployments */
+  async getStoredTagNames(repositoryId) {
+    this.notImplemented('getStoredTagNames');
+  }
+
+  // Pull requests
+
+  /** Upsert on (repository_id, pr_number); returns the row id, or null when the stored row was identical */
+  async insertPullRequest(pr) {
+    this.notImplemented('insertPullRequest');
+  }
+
+  /** Merged PRs in the window with their lead time, newest first */
+  async getPullRequestsForLeadTime(repositoryId, days = 30) {
+    this.notImplemented('getPullRequestsForLeadTime');
+  }
+
+  /** Merged PRs in the window, oldest first */
+  async getMergedPullRequests(repositoryId, days = 30) {
+    this.notImplemented('getMergedPullRequests');
+  }
+
+  // Lead time
+
+  /** Replaces any earlier metric for the same PR */
+  async insertLeadTimeMetric(metric) {
+    this.notImplemented('insertLeadTimeMetric');
+  }
+
+  /** Drop metrics and stages whose PR no longer exists */
+  async pruneLeadTimeMetrics(repositoryId) {
+    this.notImplemented('pruneLeadTimeMetrics');
+  }
+
+  /** Replace the per-environment promotion times of a PR */
+  async insertLeadTimeStages(prId, stages) {
+    this.notImplemented('insertLeadTimeStages');
+  }
+
+  async getLeadTimeStageStats(repositoryId = null, days = 30) {
+    this.notImplemented('getLeadTimeStageStats');
+  }
+
+  async getLeadTimeStats(repositoryId = null, days = 30) {
+    this.notImplemented('getLeadTimeStats');
+  }
+
+  /** Every lead time in the window with its percentile rank within the repository */
+  async getLeadTimePercentiles(repositoryId = null, days = 30) {
+    this.notImplemented('getLeadTimePercentiles');
+  }
+
+  // Incidents
+
+  /** Upsert on (repository_id, incident_id); returns the row id */
+  async insertIncident(incident) {
+    this.notImplemented('insertIncident');
+  }
+
+  /** Incidents opened in the window with their linked deployment, oldest first */
+  async getIncidents(repositoryId, days = 30) {
+    this.notImplemented('getIncidents');
+  }
+
+  async linkIncidentToDeployment(incidentId, deploymentId) {
+    this.notImplemented('linkIncidentToDeployment');
+  }
+
+  // Sync state
+
+  /** Record a successful sync. `cursor` is the high-water mark the next incremental sync starts from. */
+  async markSynced(repositoryId, dataType, days, cursor = null) {
+    this.notImplemented('markSynced');
+  }
+
+  async getSyncState(repositoryId, dataType) {
+    this.notImplemented('getSyncState');
+  }
+
+  // Daily rollups
+
+  /**
+   * Replace a repository's stats_summary rows from `fromDate` (YYYY-MM-DD) on; older days
+   * are kept, so the rollups outlive the window they were computed in
+   */
+  async saveDailyStats(repositoryId, fromDate, rows) {
+    this.notImplemented('saveDailyStats');
+  }
+
+  /** Daily rollups, oldest first, optionally from `fromDate` (YYYY-MM-DD) on */
+  async getDailyStats(repositoryId, fromDate = null) {
+    this.notImplemented('getDailyStats');
+  }
+
+  // Alert state
+
+  async getAlertState(repositoryId, ruleId) {
+    this.notImplemented('getAlertState');
+  }
+
+  /** Upsert on (repository_id, rule_id). `value` is the rule's JSON-encoded baseline, e.g. the last tier. */
+  async saveAlertState(state) {
+    this.notImplemented('saveAlertState');
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}